@@ -0,0 +1,178 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const p = require('../src/pflow.js');
+
+const usage = `usage: pflow <command> [options]
+
+commands:
+  validate <file>                 check a model.json or declaration.js file
+  svg <file> [--state 1,0]        render the model, optionally at a marking
+      [--trace a,b] [--step ms]   animate a firing sequence instead
+  fire <file> <action>...         fire actions in order and print the resulting state
+  html [file] [--baseurl url]     generate a sandbox page, defaults to the built-in sample
+  zip <file>                      print the share-link payload of a model
+  unzip <payload|file>            print the model stored in a share-link payload
+
+options:
+  -o, --output <file>             write to a file instead of stdout
+  --sample func|obj               sample used by html when no file is given
+`;
+
+// parseArgs splits positional arguments from --name value options
+function parseArgs(argv) {
+    const args = [];
+    const opts = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '-o' || arg === '--output') {
+            opts.output = argv[++i];
+        } else if (arg === '-h' || arg === '--help') {
+            opts.help = true;
+        } else if (arg.startsWith('--')) {
+            opts[arg.slice(2)] = argv[++i];
+        } else {
+            args.push(arg);
+        }
+    }
+    return { args, opts };
+}
+
+// pos matches the sandbox helper so declarations written there place nodes on the same 60px grid
+const pos = (x, y) => ({ x: x * 60, y: y * 60 });
+
+// readDeclaration returns a declaration object or function from model.json or declaration.js
+function readDeclaration(file) {
+    const source = fs.readFileSync(file, 'utf8');
+    if (file.endsWith('.json')) {
+        return JSON.parse(source);
+    }
+    return vm.runInNewContext(source + '\n;declaration', { pos }, { filename: file });
+}
+
+function readModel(file) {
+    return p.newModel({ schema: path.basename(file), declaration: readDeclaration(file) });
+}
+
+function readState(model, value) {
+    if (value === undefined) {
+        return model.initialVector();
+    }
+    const state = value.split(',').map(Number);
+    if (state.length !== model.initialVector().length || state.some(n => !Number.isInteger(n) || n < 0)) {
+        throw new Error(`--state must list ${model.initialVector().length} token counts`);
+    }
+    return state;
+}
+
+function labelled(model, state) {
+    const out = {};
+    for (const label in model.def.places) {
+        out[label] = state[model.def.places[label].offset];
+    }
+    return out;
+}
+
+const commands = {
+    validate([file]) {
+        const declaration = readDeclaration(file);
+        let report;
+        if (typeof declaration === 'function') {
+            const model = p.newModel({ schema: path.basename(file), declaration });
+            report = p.validateDeclaration(model.toObject());
+        } else {
+            report = p.validateDeclaration(declaration);
+        }
+        const lines = [
+            ...report.errors.map(e => `error ${e.path}: ${e.message}`),
+            ...report.warnings.map(w => `warning ${w.path}: ${w.message}`)
+        ];
+        if (report.ok) {
+            lines.push(`${file}: ok`);
+        }
+        return { output: lines.join('\n'), code: report.ok ? 0 : 1 };
+    },
+
+    svg([file], opts) {
+        const model = readModel(file);
+        const state = readState(model, opts.state);
+        if (opts.trace) {
+            const step = opts.step ? Number(opts.step) : undefined;
+            return { output: p.pflow2animatedSvg(model, { state, trace: opts.trace.split(','), step }) };
+        }
+        return { output: p.pflow2svg(model, { state }) };
+    },
+
+    fire([file, ...actions], opts) {
+        const model = readModel(file);
+        let state = readState(model, opts.state);
+        for (const action of actions) {
+            if (!model.def.transitions[action]) {
+                throw new Error('action not found: ' + action);
+            }
+            const res = model.fire({ state: [...state], action, multiple: 1 });
+            if (!res.ok) {
+                return { output: `cannot fire ${action} at ${JSON.stringify(labelled(model, state))}`, code: 1 };
+            }
+            state = res.out;
+        }
+        return { output: JSON.stringify(labelled(model, state)) };
+    },
+
+    html([file], opts) {
+        let source = p.modelSource[opts.sample || 'func'];
+        if (file) {
+            source = fs.readFileSync(file, 'utf8');
+            if (file.endsWith('.json')) {
+                source = `const declaration = ${source};`;
+            }
+        }
+        if (!source) {
+            throw new Error('unknown sample: ' + opts.sample);
+        }
+        const baseurl = opts.baseurl || 'https://cdn.jsdelivr.net/gh/pFlow-dev/pflow-js@main';
+        return { output: p.pflow2html(source, { baseurl }) };
+    },
+
+    async zip([file]) {
+        const source = fs.readFileSync(file, 'utf8');
+        return { output: await p.zip(source, file.endsWith('.json') ? 'model.json' : 'declaration.js') };
+    },
+
+    async unzip([data]) {
+        const payload = fs.existsSync(data) ? fs.readFileSync(data, 'utf8').trim() : data;
+        const source = await p.unzip(payload, { raw: true });
+        if (source === undefined) {
+            throw new Error('payload holds neither model.json nor declaration.js');
+        }
+        return { output: source };
+    }
+};
+
+async function main(argv) {
+    const [command, ...rest] = argv;
+    const { args, opts } = parseArgs(rest);
+    if (!commands[command] || opts.help) {
+        process.stdout.write(usage);
+        return command && !opts.help ? 2 : 0;
+    }
+    if (command !== 'html' && args.length === 0) {
+        process.stderr.write(`pflow ${command}: missing file\n`);
+        return 2;
+    }
+    const { output, code = 0 } = await commands[command](args, opts);
+    if (opts.output && code === 0) {
+        fs.writeFileSync(opts.output, output);
+    } else {
+        (code === 0 ? process.stdout : process.stderr).write(output + '\n');
+    }
+    return code;
+}
+
+main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+}, err => {
+    process.stderr.write(`pflow: ${err.message}\n`);
+    process.exitCode = 1;
+});
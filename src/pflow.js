@@ -34,32 +34,145 @@ const PFlowModel = {
 
 const version = 'v0';
 
+/**
+ * pflowEventBus dispatches stream events to any number of listeners
+ * listeners on '*' receive every transition event, names starting with __ are internal (__onFail__, __onReload__...)
+ * transition events and failures nobody listens to are passed to __onUnhandled__ listeners, other internal events are dropped
+ * @returns {{on: function, once: function, off: function, emit: function, count: function}}
+ */
+function pflowEventBus() {
+    const listeners = new Map();
+    const wildcard = '*';
+    const unhandled = '__onUnhandled__';
+    const fallsBack = action => !action.startsWith('__') || action === '__onFail__';
+
+    const remove = listener => {
+        const list = listeners.get(listener.action) || [];
+        const i = list.indexOf(listener);
+        if (i >= 0) {
+            list.splice(i, 1);
+        }
+        return i >= 0;
+    };
+    const subscribe = (action, handler, once) => {
+        const listener = { action, handler, once };
+        if (!listeners.has(action)) {
+            listeners.set(action, []);
+        }
+        listeners.get(action).push(listener);
+        return () => remove(listener);
+    };
+    const matching = action => {
+        const direct = listeners.get(action) || [];
+        if (action.startsWith('__')) {
+            return [...direct];
+        }
+        return [...direct, ...(listeners.get(wildcard) || [])];
+    };
+    const notify = (list, s, evt) => {
+        for (const listener of list) {
+            if (listener.once) {
+                remove(listener);
+            }
+            listener.handler(s, evt);
+        }
+    };
+
+    return {
+        // on and once return an unsubscribe function
+        on: (action, handler) => subscribe(action, handler, false),
+        once: (action, handler) => subscribe(action, handler, true),
+        off: (action, handler) => {
+            if (handler === undefined) {
+                return listeners.delete(action);
+            }
+            const listener = (listeners.get(action) || []).find(l => l.handler === handler);
+            return listener ? remove(listener) : false;
+        },
+        count: action => matching(action).length,
+        emit: (action, s, evt) => {
+            const list = matching(action);
+            notify(list, s, evt);
+            if (list.length === 0 && fallsBack(action)) {
+                notify(matching(unhandled), s, { ...evt, event: action });
+            }
+            return list.length;
+        }
+    };
+}
+
+// clockEvent marks events fired by the virtual clock, a symbol so dispatch callers cannot set it
+const clockEvent = Symbol('clock');
+
+// instanceKey names the state of a process instance, the default instance is keyed by schema alone
+function instanceKey(schema, instanceId) {
+    return instanceId === undefined ? schema : schema + '#' + instanceId;
+}
+
+// followUp resolves the event a sync rule fires for a triggering event
+function followUp(spec, evt) {
+    const next = typeof spec === 'function' ? spec(evt) : spec;
+    return { multiple: 1, ...next };
+}
+
+// isCreation tells the history entries recorded by createInstance apart, their event holds the initial marking instead of an action
+function isCreation(event) {
+    return event.create !== undefined;
+}
+
+// historyEvent strips the marking from a history entry, leaving what replay() needs
+function historyEvent({ seq, event, ts, clock, txn }) {
+    const out = { seq, event: { ...event }, ts, clock };
+    if (txn !== undefined) {
+        out.txn = txn; // keeps an atomic commit undoable as one step after replay
+    }
+    return out;
+}
+
 /**
  * PFlowStream manages the state of a collection of models.
  * @type {PFlowStream}
  */
 class PFlowStream {
 
-    constructor(models) {
+    /**
+     * @param models - list of pflowModel
+     * @param policy - optional function(actor, evt) returning the role labels an actor holds
+     */
+    constructor(models, { policy } = {}) {
+        this.policy = policy;
         this.state = new Map();
         this.models = new Map();
         this.schema = undefined;
         this.canvas = undefined;
+        this.diff = undefined; // diffModels output highlighted by pflow2png
         this.seq = 0;
         this.history = [];
+        this.clock = 0; // virtual time in ms, driven by advance() and runUntil()
+        this.timers = new Map();
+        this.undone = []; // history entries removed by undo(), restored by redo()
+        this.middleware = [];
+        this.instances = new Map(); // instanceKey => { schema, instanceId, initial }
+        this.instanceSeq = 0;
+        this.rules = [];
         models.forEach(model => {
             this.models.set(model.def.schema, model);
         });
-        const eventHandlers = new Map();
+        const bus = pflowEventBus();
         this.dispatcher = {
-            getHandler: action => eventHandlers.get(action),
-            on: (action, handler) => eventHandlers.set(action, handler),
-            off: action => eventHandlers.delete(action),
-            onFail: handler => eventHandlers.set("__onFail__", handler),
-            fail: (s, evt) => eventHandlers.get("__onFail__")(s, evt),
-            onEvery: handler => eventHandlers.set("__onEvery__", handler),
+            getHandler: action => bus.count(action) > 0 ? (s, evt) => bus.emit(action, s, evt) : undefined,
+            on: bus.on,
+            once: bus.once,
+            off: bus.off,
+            emit: bus.emit,
+            onFail: handler => bus.on("__onFail__", handler),
+            fail: (s, evt) => bus.emit("__onFail__", s, evt),
+            onEvery: handler => bus.on("__onEvery__", handler),
+            onUnhandled: handler => bus.on("__onUnhandled__", handler),
+            onStoreError: handler => bus.on("__onStoreError__", handler),
             update: model => {
                 this.models.set(model.def.schema, model);
+                this.scheduleAll();
             },
             getModel: schema => {
                 const m = this.models.get(schema);
@@ -69,522 +182,2843 @@ class PFlowStream {
                 return m;
             },
             reload: schema => {
-                eventHandlers.get("__onReload__")(this, { action: 'reload', schema });
+                bus.emit("__onReload__", this, { action: 'reload', schema });
             }
         };
         this.dispatch = this.dispatch.bind(this);
         this.restart = this.restart.bind(this);
+        this.undo = this.undo.bind(this);
+        this.redo = this.redo.bind(this);
+        this.goto = this.goto.bind(this);
+        this.scheduleAll();
     }
 
-    dispatch(evt) {
-        const model = this.models.get(evt.schema);
-        if (!model) {
-            throw new Error(`model not found: ${evt.schema}`);
+    /**
+     * createInstance starts a new process instance of a schema
+     * the creation is recorded in the history so replay() and undo() see it
+     * @param schema - model schema
+     * @param instanceId - optional id, one is generated if missing
+     * @param state - optional initial marking, defaults to the model initialVector()
+     * @returns {string} instanceId
+     */
+    createInstance(schema, { instanceId, state } = {}) {
+        const model = this.dispatcher.getModel(schema);
+        let id = instanceId;
+        if (id === undefined) {
+            do {
+                id = String(++this.instanceSeq);
+            } while (this.instances.has(instanceKey(schema, id))); // replayed instances may hold generated ids
+        }
+        id = String(id);
+        const key = instanceKey(schema, id);
+        if (this.instances.has(key)) {
+            throw new Error(`instance already exists: ${key}`);
         }
-        const state = this.state.get(evt.schema) || model.initialVector();
+        const initial = state ? [...state] : model.initialVector();
+        this.instances.set(key, { schema, instanceId: id, initial });
+        this.persist(this.record({ evt: { schema, instanceId: id, create: [...initial] }, key, out: [...initial] }));
+        return id;
+    }
 
-        return model.fire({ state, action: evt.action, multiple: evt.multiple }, ({ out, role }) => {
-            this.state.set(evt.schema, out);
-            this.history.push({ seq: this.seq++, event: evt, state: out, ts: Date.now() });
-            const res = {
-                role,
-                action: evt.action,
-                multiple: evt.multiple,
-                state: out
-            };
-            const onEvery = this.dispatcher.getHandler('__onEvery__');
-            if (onEvery) {
-                onEvery(this, res);
-            }
-            const callback = this.dispatcher.getHandler(evt.action);
-            if (callback) {
-                callback(this, res);
-            }
-            this.dispatcher.reload(evt.schema);
-        }, ({ out, role }) => {
-            const res = { state: out, action: evt.action, multiple: evt.multiple, role };
-            this.dispatcher.fail(this, res);
+    /**
+     * listInstances returns the instances of a schema with their current marking
+     * @returns {{instanceId: string, state: number[]}[]}
+     */
+    listInstances(schema) {
+        const found = [];
+        this.instances.forEach(instance => {
+            if (instance.schema === schema) {
+                found.push({ instanceId: instance.instanceId, state: this.currentState(schema, instance.instanceId) });
+            }
         });
+        return found;
     }
 
-    restart() {
-        this.seq = 0;
-        this.history = [];
-        this.models.forEach(model => {
-            this.state.delete(model.def.schema);
-        });
+    /**
+     * historyFor returns the history entries of one instance, omit instanceId for the default instance
+     */
+    historyFor({ schema, instanceId }) {
+        const key = instanceKey(schema, instanceId);
+        return this.history.filter(entry => instanceKey(entry.event.schema, entry.event.instanceId) === key);
     }
-}
 
-/**
- * pflowStream is a factory function that creates a stream object
- * streams are used to manage the state of a collection of models.
- * @param models
- * @returns PFlowStream
- */
-function pflowStream({ models }) {
-    return new PFlowStream(models);
-}
+    currentState(schema, instanceId) {
+        const key = instanceKey(schema, instanceId);
+        if (this.state.has(key)) {
+            return this.state.get(key);
+        }
+        if (instanceId !== undefined) {
+            const instance = this.instances.get(key);
+            if (!instance) {
+                throw new Error(`instance not found: ${key}`);
+            }
+            return instance.initial;
+        }
+        return this.dispatcher.getModel(schema).initialVector();
+    }
 
-/**
- * pflowModel is a factory function that creates a model object
- * that can be used to simulate a petriNet, workflow, or elementary net
- * @param schema
- * @param declaration
- * @param type
- * @returns Model
- */
-function pflowModel({ schema, declaration, type }) {
+    /**
+     * schedule starts a timer for every newly enabled timed transition of an instance
+     * and cancels timers of transitions that are no longer enabled
+     */
+    schedule(schema, instanceId) {
+        const model = this.models.get(schema);
+        const state = this.currentState(schema, instanceId);
+        for (const t of Object.values(model.def.transitions)) {
+            if (t.delay === undefined) {
+                continue;
+            }
+            const key = instanceKey(schema, instanceId) + '/' + t.label;
+            const { ok } = model.testFire({ state, action: t.label, multiple: 1 });
+            if (ok && !this.timers.has(key)) {
+                const timer = { schema, action: t.label, due: this.clock + t.delay };
+                if (instanceId !== undefined) {
+                    timer.instanceId = instanceId;
+                }
+                this.timers.set(key, timer);
+            } else if (!ok) {
+                this.timers.delete(key);
+            }
+        }
+    }
 
-    const def = {
-        schema,
-        roles: {},
-        places: {},
-        transitions: {},
-        arcs: [],
-        boundSelect: [], // for group select/drag feature
-        mode: 'default', // application mode, editing,running, etc..
-        type: type || PFlowModel.petriNet
-    };
+    scheduleAll() {
+        this.models.forEach((_, schema) => this.schedule(schema));
+        this.instances.forEach(({ schema, instanceId }) => this.schedule(schema, instanceId));
+    }
 
-    function assert(flag, msg) {
-        if (!flag) {
-            throw new Error(msg);
-        }
+    nextTimer() {
+        let next;
+        this.timers.forEach(timer => {
+            if (!next || timer.due < next.due) {
+                next = timer;
+            }
+        });
+        return next;
     }
 
-    function fn(label, role, position) {
-        const transition = { label, role, position, guards: {}, delta: {} };
-        def.transitions[label] = transition;
+    async fireTimer(timer) {
+        this.clock = timer.due;
+        this.timers.delete(instanceKey(timer.schema, timer.instanceId) + '/' + timer.action);
+        const evt = { schema: timer.schema, action: timer.action, multiple: 1, [clockEvent]: true };
+        if (timer.instanceId !== undefined) {
+            evt.instanceId = timer.instanceId;
+        }
+        try {
+            await this.dispatch(evt);
+        } finally {
+            this.schedule(timer.schema, timer.instanceId); // restart the timer if the firing was vetoed or failed
+        }
+        return evt;
+    }
 
-        function guard(weight, target) {
-            def.arcs.push({
-                source: { transition },
-                target: target,
-                weight: weight,
-                inhibit: true,
-                inverted: true
-            });
-            assert(target.place, "target node must be a place");
+    /**
+     * advance moves the virtual clock forward, firing timed transitions as their delays elapse
+     * @param ms - amount of virtual time to advance
+     * @param limit - maximum number of firings at one timestamp, stops zero-delay transitions from looping forever
+     * @returns {Promise<[]>} events fired by the clock
+     */
+    async advance(ms, { limit } = {}) {
+        const maxFirings = limit || 1000;
+        const until = this.clock + ms;
+        const fired = [];
+        let sameTime = 0;
+        for (let next = this.nextTimer(); next && next.due <= until; next = this.nextTimer()) {
+            sameTime = next.due === this.clock ? sameTime + 1 : 1;
+            if (sameTime > maxFirings) {
+                throw new Error(`more than ${maxFirings} timed firings at clock ${this.clock}`);
+            }
+            fired.push(await this.fireTimer(next));
         }
-        function tx(weight, target) {
-            assert(target, "target is null");
-            assert(target.place, "target node must be a place");
-            def.arcs.push({
-                source: { transition: transition },
-                target,
-                weight,
-                inhibit: false
-            });
+        this.clock = until;
+        return fired;
+    }
+
+    /**
+     * runUntil fires timed transitions in order until predicate(stream) holds
+     * @param predicate - function(stream) => boolean
+     * @param limit - maximum number of timed firings
+     * @returns {Promise<boolean>} true if the predicate was satisfied
+     */
+    async runUntil(predicate, { limit } = {}) {
+        const maxFirings = limit || 1000;
+        for (let i = 0; i < maxFirings; i++) {
+            if (predicate(this)) {
+                return true;
+            }
+            const next = this.nextTimer();
+            if (!next) {
+                return false;
+            }
+            await this.fireTimer(next);
         }
+        return predicate(this);
+    }
 
-        return {
-            transition: transition,
-            tx,
-            guard
+    /**
+     * use adds a middleware to the dispatch pipeline, middleware run in the order they are added
+     * a middleware is async (ctx, next) => {} where ctx is { stream, event, result }
+     * - change ctx.event before calling next() to validate or enrich the payload
+     * - return without calling next() to veto the firing
+     * - inspect ctx.result after await next() to run side effects of a successful fire
+     * @param middleware
+     * @returns {function} removes the middleware
+     */
+    use(middleware) {
+        this.middleware.push(middleware);
+        return () => {
+            this.middleware = this.middleware.filter(m => m !== middleware);
         };
     }
 
-    function cell(label, initial, capacity, position) {
-        const place = {
-            label: label,
-            initial: initial || 0,
-            capacity: capacity || 0,
-            position: position || {},
-            offset: Object.keys(def.places).length
+    /**
+     * dispatch runs an event through the middleware pipeline and fires it
+     * with no middleware the state is updated before dispatch returns
+     * @param evt - { schema, action, multiple, actor }
+     * @returns {Promise<{ok: boolean, out: [], role: {}}>}
+     */
+    dispatch(evt) {
+        const ctx = { stream: this, event: evt, result: undefined };
+        const chain = [...this.middleware];
+        const run = i => {
+            if (i === chain.length) {
+                ctx.result = this.commit(ctx.event);
+                return Promise.resolve();
+            }
+            return Promise.resolve(chain[i](ctx, () => run(i + 1)));
         };
-        def.places[label] = place;
+        return new Promise(resolve => resolve(run(0))).then(() => {
+            if (ctx.result !== undefined) {
+                return ctx.result;
+            }
+            const model = this.dispatcher.getModel(ctx.event.schema);
+            const t = model.def.transitions[ctx.event.action];
+            const role = t ? t.role : undefined;
+            const { action, multiple, actor, instanceId } = ctx.event;
+            const state = this.currentState(ctx.event.schema, instanceId);
+            this.dispatcher.fail(this, { state, action, multiple, role, actor, instanceId, error: 'vetoed' });
+            return { out: null, ok: false, role, vetoed: true };
+        });
+    }
 
-        function tx(weight, target) {
-            def.arcs.push({
-                source: { place: place },
-                target: target,
-                weight: weight || 1,
-                inhibit: false
-            });
-            assert(target.transition, "target node must be a transition");
+    /**
+     * sync declares a rule between models, every firing of when.action in when.schema triggers a follow-up
+     * - atomic: then must fire with the triggering event, otherwise neither is committed
+     * - saga: then fires after the triggering event, if it fails compensate fires to undo the trigger
+     * then and compensate are events or function(evt) returning an event, follow-ups skip middleware
+     * @param rule - { when: {schema, action}, then, compensate, mode: 'atomic' | 'saga' }
+     * @returns {function} removes the rule
+     */
+    sync(rule) {
+        const mode = rule.mode || 'atomic';
+        if (mode !== 'atomic' && mode !== 'saga') {
+            throw new Error("unknown sync mode: " + mode);
         }
+        if (mode === 'saga' && !rule.compensate) {
+            throw new Error("saga requires a compensate event");
+        }
+        const added = { ...rule, mode };
+        this.rules.push(added);
+        return () => {
+            this.rules = this.rules.filter(r => r !== added);
+        };
+    }
 
-        function guard(weight, target) {
-            def.arcs.push({
-                source: { place },
-                target: target,
-                weight: weight,
-                inhibit: true
-            });
-            assert(target.transition, "target node must be a transition");
+    // commit fires an event and records it, this is the last step of dispatch
+    // entries reach the store once the whole commit succeeded, a failed compensation rolls it back,
+    // listeners run last so a throwing listener cannot split the history from the store
+    commit(evt) {
+        const rules = this.rules.filter(r => r.when.schema === evt.schema && r.when.action === evt.action);
+        const before = this.checkpoint();
+        const recorded = [];
+        const notices = [];
+        const pending = new Map();
+        const head = this.prepare(evt, pending);
+        if (!head.ok) {
+            this.reject(head);
+            return { out: head.error ? null : head.out, ok: false, role: head.role };
         }
 
-        return { place, tx, guard };
+        const steps = [head];
+        for (const rule of rules.filter(r => r.mode === 'atomic')) {
+            const step = this.prepare(followUp(rule.then, evt), pending);
+            if (!step.ok) {
+                this.reject(step);
+                this.reject({ ...head, out: head.state, error: 'sync' });
+                return { out: null, ok: false, role: head.role, sync: step.evt };
+            }
+            steps.push(step);
+        }
+        const txn = steps.length > 1 ? this.seq : undefined;
+        steps.forEach(step => recorded.push(this.record(step, txn)));
+        steps.forEach(step => notices.push(() => this.announce(step)));
+
+        const res = { out: head.out, ok: true, role: head.role };
+        for (const rule of rules.filter(r => r.mode === 'saga')) {
+            const step = this.prepare(followUp(rule.then, evt));
+            if (step.ok) {
+                recorded.push(this.record(step));
+                notices.push(() => this.announce(step));
+                continue;
+            }
+            notices.push(() => this.reject(step));
+            const undo = this.prepare(followUp(rule.compensate, evt));
+            if (!undo.ok) {
+                this.rollback(before);
+                this.reject(step);
+                this.reject(undo);
+                throw new Error(`compensation failed: ${undo.key}.${undo.evt.action}`);
+            }
+            recorded.push(this.record(undo));
+            notices.push(() => this.announce(undo));
+            res.ok = false;
+            res.compensated = true;
+        }
+        recorded.forEach(entry => this.persist(entry));
+        notices.forEach(notify => notify());
+        return res;
     }
 
-    function role(label) {
-        if (!def.roles[label]) {
-            def.roles[label] = { label };
+    // checkpoint captures what commit() changes, rollback() restores it
+    checkpoint() {
+        return { seq: this.seq, clock: this.clock, undone: this.undone, state: new Map(this.state), timers: new Map(this.timers) };
+    }
+
+    rollback({ seq, clock, undone, state, timers }) {
+        this.history = this.history.filter(entry => entry.seq < seq);
+        this.seq = seq;
+        this.clock = clock;
+        this.undone = undone;
+        this.state.clear();
+        state.forEach((v, key) => this.state.set(key, v));
+        this.timers.clear();
+        timers.forEach((t, key) => this.timers.set(key, t));
+    }
+
+    // prepare fires an event against a copy of the state, pending holds markings of a transaction not yet recorded
+    prepare(evt, pending = new Map()) {
+        const model = this.models.get(evt.schema);
+        if (!model) {
+            throw new Error(`model not found: ${evt.schema}`);
         }
-        return def.roles[label];
+        const key = instanceKey(evt.schema, evt.instanceId);
+        const state = [...(pending.get(key) || this.currentState(evt.schema, evt.instanceId))]; // fire() writes into state
+
+        if (!this.authorize(model, evt)) {
+            const { role } = model.def.transitions[evt.action];
+            return { evt, key, state, out: state, ok: false, role, error: 'unauthorized' };
+        }
+        const { out, ok, role } = model.fire({ state: [...state], action: evt.action, multiple: evt.multiple });
+        if (ok) {
+            pending.set(key, out);
+        }
+        return { evt, key, state, out, ok, role };
     }
 
-    function emptyVector() {
-        const v = [];
-        for (const p of Object.keys(def.places)) {
-            v.push(0);
+    record({ evt, key, out }, txn) {
+        const entry = { seq: this.seq++, event: evt, state: out, ts: Date.now(), clock: this.clock };
+        if (txn !== undefined) {
+            entry.txn = txn; // entries of one atomic commit are undone together
         }
-        return v;
+        this.state.set(key, out);
+        this.history.push(entry);
+        this.undone = [];
+        if (!isCreation(evt)) {
+            this.timers.delete(key + '/' + evt.action);
+        }
+        this.schedule(evt.schema, evt.instanceId);
+        return entry;
     }
 
-    function initialVector() {
-        const v = emptyVector();
-        for (const p of Object.values(def.places)) {
-            v[p.offset || 0] = p.initial;
+    announce({ evt, out, role }) {
+        const res = {
+            role,
+            actor: evt.actor,
+            instanceId: evt.instanceId,
+            action: evt.action,
+            multiple: evt.multiple,
+            state: out
+        };
+        this.dispatcher.emit('__onEvery__', this, res);
+        this.dispatcher.emit(evt.action, this, res);
+        this.dispatcher.reload(evt.schema);
+    }
+
+    reject({ evt, out, role, error }) {
+        const res = { state: out, action: evt.action, multiple: evt.multiple, role, actor: evt.actor, instanceId: evt.instanceId };
+        if (error) {
+            res.error = error;
         }
-        return v;
+        this.dispatcher.fail(this, res);
     }
 
-    function capacityVector() {
-        const v = [];
-        for (const p of Object.values(def.places)) {
-            v[p.offset] = p.capacity || 0;
+    /**
+     * rewind recomputes state and instances from the baseline snapshot and the current history
+     */
+    rewind() {
+        const base = this.baseline || { clock: 0, state: {}, instances: [] };
+        this.state.clear();
+        this.instances.clear();
+        (base.instances || []).forEach(i => {
+            this.instances.set(instanceKey(i.schema, i.instanceId), { ...i, initial: [...i.initial] });
+        });
+        for (const schema in base.state) {
+            this.state.set(schema, [...base.state[schema]]);
         }
-        return v;
+        this.history.forEach(({ event, state }) => {
+            const key = instanceKey(event.schema, event.instanceId);
+            if (isCreation(event)) {
+                this.instances.set(key, { schema: event.schema, instanceId: event.instanceId, initial: [...event.create] });
+            }
+            this.state.set(key, [...state]);
+        });
+        const last = this.history[this.history.length - 1];
+        this.clock = last ? last.clock : base.clock;
+        this.timers.clear();
+        this.scheduleAll();
     }
 
-    function loadDeclarationObject(obj) {
-        if (obj.version !== version) {
-            throw new Error("invalid model version: " + obj.version);
+    // stepBack and stepForward leave seq alone, numbers of undone events are never handed out again
+    stepBack() {
+        if (this.history.length === 0) {
+            return false;
         }
-        const nodes = {};
-        for (const [label, _] of Object.entries(obj.places)) {
-            const { initial, capacity, x, y } = obj.places[label];
-            nodes[label] = cell(label, initial, capacity, { x, y });
+        this.undone.push(this.history.pop());
+        return true;
+    }
+
+    stepForward() {
+        if (this.undone.length === 0) {
+            return false;
         }
-        for (const [label, _] of Object.entries(obj.transitions)) {
-            const { x, y } = obj.transitions[label];
-            nodes[label] = fn(label, { label: "default" }, { x, y });
+        this.history.push(this.undone.pop());
+        return true;
+    }
+
+    lastSeq() {
+        return this.history.length > 0 ? this.history[this.history.length - 1].seq : -1;
+    }
+
+    // moveTo steps back or forward until the last history entry is seq
+    moveTo(seq) {
+        while (this.lastSeq() > seq) {
+            this.stepBack();
         }
-        for (const arc of obj.arcs) {
-            const { source, target, inhibit, reentry } = arc;
-            const weight = arc.weight || 1;
-            const sourceObj = nodes[source];
-            const targetObj = nodes[target];
-            if (!sourceObj) {
-                throw new Error("invalid arc sourceObj: " + source);
+        while (this.lastSeq() < seq && this.undone.length > 0 && this.undone[this.undone.length - 1].seq <= seq) {
+            this.stepForward();
+        }
+        return this.lastSeq() === seq;
+    }
+
+    reloadAll() {
+        this.rewind();
+        this.persistMove();
+        this.models.forEach((_, schema) => this.dispatcher.reload(schema));
+    }
+
+    /**
+     * undo reverts the last event, it can be restored with redo() until a new event is dispatched
+     * an attached store keeps every event and gets a goto marker that replay() applies
+     * @returns {boolean} false if there was nothing to undo
+     */
+    undo() {
+        const { txn } = this.history[this.history.length - 1] || {};
+        const ok = this.stepBack();
+        while (ok && txn !== undefined && this.history.length > 0 && this.history[this.history.length - 1].txn === txn) {
+            this.stepBack();
+        }
+        if (ok) {
+            this.reloadAll();
+        }
+        return ok;
+    }
+
+    /**
+     * redo restores the last undone event
+     * @returns {boolean} false if there was nothing to redo
+     */
+    redo() {
+        const { txn } = this.undone[this.undone.length - 1] || {};
+        const ok = this.stepForward();
+        while (ok && txn !== undefined && this.undone.length > 0 && this.undone[this.undone.length - 1].txn === txn) {
+            this.stepForward();
+        }
+        if (ok) {
+            this.reloadAll();
+        }
+        return ok;
+    }
+
+    /**
+     * goto moves to the state right after the event numbered seq, use -1 for the initial state
+     * @param seq - history sequence number
+     * @returns {boolean} true if the stream ended up at seq
+     */
+    goto(seq) {
+        const ok = this.moveTo(seq);
+        this.reloadAll();
+        return ok;
+    }
+
+    /**
+     * log returns the history as serializable events
+     * @returns {{seq: number, event: {}, ts: number, clock: number}[]}
+     */
+    log() {
+        return this.history.map(historyEvent);
+    }
+
+    /**
+     * snapshot captures the marking of every instance, replay starts from it instead of the initial marking
+     * @returns {{seq: number, clock: number, state: {}, timers: [], instances: []}}
+     */
+    snapshot() {
+        const state = {};
+        this.state.forEach((v, key) => {
+            state[key] = [...v];
+        });
+        const instances = [...this.instances.values()].map(i => ({ ...i, initial: [...i.initial] }));
+        return { seq: this.seq, clock: this.clock, state, timers: [...this.timers.values()].map(t => ({ ...t })), instances };
+    }
+
+    /**
+     * replay rebuilds the stream state from an event log, optionally starting from a snapshot
+     * every event must still fire, creation events recreate their instance, callbacks are not invoked
+     * goto markers written to a store by undo(), redo() and goto() move through the history the same way
+     * @param events - output of log() or store.load()
+     * @param snapshot - output of snapshot(), events before snapshot.seq are skipped
+     */
+    replay(events, { snapshot } = {}) {
+        this.restart();
+        if (snapshot) {
+            this.baseline = snapshot;
+            this.seq = snapshot.seq;
+            this.clock = snapshot.clock;
+            (snapshot.instances || []).forEach(i => {
+                this.instances.set(instanceKey(i.schema, i.instanceId), { ...i, initial: [...i.initial] });
+            });
+            for (const key in snapshot.state) {
+                this.state.set(key, [...snapshot.state[key]]);
             }
-            if (!targetObj) {
-                throw new Error("invalid arc targetObj: " + target);
+            this.timers.clear();
+            snapshot.timers.forEach(t => this.timers.set(instanceKey(t.schema, t.instanceId) + '/' + t.action, { ...t }));
+            this.scheduleAll();
+        }
+        for (const { seq, event, ts, clock, goto, txn } of events) {
+            if (seq < this.seq) {
+                continue;
             }
-            if (obj.places[source]) {
-                if (!obj.transitions[target]) {
-                    throw new Error("invalid arc target label: " + target);
-                }
-                if (inhibit) {
-                    sourceObj.guard(weight, targetObj);
-                } else {
-                    sourceObj.tx(weight, targetObj);
-                }
-                if (reentry) {
-                    throw new Error("reentry must use transition->place arc");
-                }
-            } else if (obj.transitions[source]) {
-                if (!obj.places[target]) {
-                    throw new Error("invalid arc");
-                }
-                if (inhibit) {
-                    sourceObj.guard(weight, targetObj);
-                } else {
-                    sourceObj.tx(weight, targetObj);
-                }
-                if (reentry) {
-                    // FIXME: reentry is not supported
-                    sourceObj.reentry(targetObj);
+            if (goto !== undefined) {
+                this.moveTo(goto);
+                this.rewind();
+                this.seq = seq + 1;
+                continue;
+            }
+            const model = this.dispatcher.getModel(event.schema);
+            const key = instanceKey(event.schema, event.instanceId);
+            let out;
+            if (isCreation(event)) {
+                this.instances.set(key, { schema: event.schema, instanceId: event.instanceId, initial: [...event.create] });
+                out = [...event.create];
+            } else {
+                const state = [...this.currentState(event.schema, event.instanceId)];
+                const res = model.fire({ state, action: event.action, multiple: event.multiple });
+                if (!res.ok) {
+                    throw new Error(`replay failed at seq ${seq}: ${key}.${event.action}`);
                 }
+                out = res.out;
+                this.timers.delete(key + '/' + event.action);
             }
+            this.clock = clock || 0;
+            this.seq = seq + 1;
+            this.state.set(key, out);
+            const entry = { seq, event, state: out, ts, clock: this.clock };
+            if (txn !== undefined) {
+                entry.txn = txn;
+            }
+            this.history.push(entry);
+            this.undone = [];
+            this.schedule(event.schema, event.instanceId);
         }
+        return this;
     }
 
-    function index() {
+    /**
+     * attach writes every new history entry to a storage adapter
+     * snapshots are saved every snapshotEvery events to keep replay short
+     * failed writes are reported to dispatcher.onStoreError handlers, or logged when there are none
+     * @param store - storage adapter, see pflowMemoryStore and pflowFileStore
+     * @param id - name of the process instance in the store
+     * @param snapshotEvery - number of events between snapshots
+     */
+    attach(store, id, { snapshotEvery = 100 } = {}) {
+        this.store = { adapter: store, id, snapshotEvery };
+        this.pending = Promise.resolve();
+        return this;
+    }
+
+    persist(entry) {
+        if (!this.store) {
+            return;
+        }
+        const { adapter, id, snapshotEvery } = this.store;
+        const event = historyEvent(entry);
+        const snapshot = (entry.seq + 1) % snapshotEvery === 0 ? this.snapshot() : null;
+        this.storeWrite('append', entry.seq, () => adapter.append(id, [event]));
+        if (snapshot) {
+            this.storeWrite('snapshot', entry.seq, () => adapter.saveSnapshot(id, snapshot));
+        }
+    }
+
+    // persistMove appends a goto marker after undo, redo or goto, followed by a snapshot
+    // because a restore starts from the store and has none of the undone entries to step through
+    persistMove() {
+        if (!this.store) {
+            return;
+        }
+        const { adapter, id } = this.store;
+        const marker = { seq: this.seq++, goto: this.lastSeq(), ts: Date.now(), clock: this.clock };
+        const snapshot = this.snapshot();
+        this.storeWrite('append', marker.seq, () => adapter.append(id, [marker]));
+        this.storeWrite('snapshot', marker.seq, () => adapter.saveSnapshot(id, snapshot));
+    }
+
+    // storeWrite queues a write, a failed write goes to onStoreError handlers and later writes still run
+    storeWrite(write, seq, fn) {
+        this.pending = this.pending.then(fn).catch(error => {
+            if (this.dispatcher.emit('__onStoreError__', this, { error, write, seq }) === 0) {
+                console.error(`store ${write} failed at seq ${seq}: ${error.message}`);
+            }
+        });
+    }
+
+    /**
+     * flush resolves once every pending write reached the store
+     */
+    flush() {
+        return this.pending || Promise.resolve();
+    }
+
+    /**
+     * restore loads the latest snapshot and the events after it from a store and replays them
+     */
+    async restore(store, id) {
+        const { snapshot, events } = await store.load(id);
+        return this.replay(events, { snapshot });
+    }
+
+    /**
+     * authorize checks the event actor holds the role of the transition
+     * transitions without a role, or with the default role, are open to everyone
+     * timed firings are started by the clock and need no actor
+     */
+    authorize(model, evt) {
+        if (!this.policy || evt[clockEvent]) {
+            return true;
+        }
+        const t = model.def.transitions[evt.action];
+        if (!t || !t.role || t.role.label === 'default') {
+            return true;
+        }
+        const roles = this.policy(evt.actor, evt) || [];
+        return roles.includes(t.role.label);
+    }
+
+    restart() {
+        this.seq = 0;
+        this.history = [];
+        this.undone = [];
+        this.baseline = undefined;
+        this.clock = 0;
+        this.timers.clear();
+        this.state.clear();
+        this.instances.clear();
+        this.instanceSeq = 0;
+        this.scheduleAll();
+    }
+}
+
+/**
+ * pflowStream is a factory function that creates a stream object
+ * streams are used to manage the state of a collection of models.
+ * @param models
+ * @param policy - optional function(actor, evt) returning the role labels an actor holds
+ * @returns PFlowStream
+ */
+function pflowStream({ models, policy }) {
+    return new PFlowStream(models, { policy });
+}
+
+/**
+ * pflowMemoryStore keeps event logs and snapshots in memory
+ * storage adapters implement append(id, events), saveSnapshot(id, snapshot) and load(id), all returning promises
+ * @returns {{append: function, saveSnapshot: function, load: function}}
+ */
+function pflowMemoryStore() {
+    const logs = new Map();
+    const snapshots = new Map();
+    return {
+        append: async (id, events) => {
+            logs.set(id, [...(logs.get(id) || []), ...events]);
+        },
+        saveSnapshot: async (id, snapshot) => {
+            snapshots.set(id, JSON.parse(JSON.stringify(snapshot)));
+        },
+        load: async id => {
+            const snapshot = snapshots.get(id);
+            const events = (logs.get(id) || []).filter(e => !snapshot || e.seq >= snapshot.seq);
+            return { snapshot, events };
+        }
+    };
+}
+
+/**
+ * pflowFileStore keeps event logs and snapshots in a directory, requires nodejs
+ * events are appended to <id>.events.jsonl and the latest snapshot is written to <id>.snapshot.json
+ * @param dir - directory to write to
+ * @returns {{append: function, saveSnapshot: function, load: function}}
+ */
+function pflowFileStore(dir) {
+    const fs = require('fs').promises;
+    const path = require('path');
+    const eventsFile = id => path.join(dir, id + '.events.jsonl');
+    const snapshotFile = id => path.join(dir, id + '.snapshot.json');
+    const readOptional = file => fs.readFile(file, 'utf8').catch(err => {
+        if (err.code === 'ENOENT') {
+            return null;
+        }
+        throw err;
+    });
+    return {
+        append: async (id, events) => {
+            await fs.mkdir(dir, { recursive: true });
+            await fs.appendFile(eventsFile(id), events.map(e => JSON.stringify(e) + '\n').join(''));
+        },
+        saveSnapshot: async (id, snapshot) => {
+            await fs.mkdir(dir, { recursive: true });
+            const tmp = snapshotFile(id) + '.tmp';
+            await fs.writeFile(tmp, JSON.stringify(snapshot));
+            await fs.rename(tmp, snapshotFile(id));
+        },
+        load: async id => {
+            const snapshotSource = await readOptional(snapshotFile(id));
+            const eventSource = await readOptional(eventsFile(id));
+            const snapshot = snapshotSource ? JSON.parse(snapshotSource) : undefined;
+            const events = (eventSource || '').split('\n').filter(line => line.trim() !== '').map(line => JSON.parse(line)).filter(e => !snapshot || e.seq >= snapshot.seq);
+            return { snapshot, events };
+        }
+    };
+}
+
+const declarationKeys = {
+    root: ['modelType', 'version', 'places', 'transitions', 'arcs', 'coloured'],
+    place: ['offset', 'x', 'y', 'initial', 'capacity', 'colour'],
+    transition: ['role', 'x', 'y', 'rate', 'delay', 'guard'],
+    arc: ['source', 'target', 'weight', 'inhibit', 'reentry', 'bind', 'expr']
+};
+
+// jsonPath appends an object key or array index to a path, keys that are not identifiers are quoted
+function jsonPath(path, key) {
+    if (typeof key === 'number') {
+        return `${path}[${key}]`;
+    }
+    return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+}
+
+/**
+ * pflowValidateDeclaration checks a declaration object and collects every problem instead of stopping at the first
+ * errors prevent the model from loading, warnings point at data that is ignored or rewritten on load
+ * @param obj - declaration object as produced by toObject()
+ * @returns {{ok: boolean, errors: {path: string, message: string}[], warnings: {path: string, message: string}[]}}
+ */
+function pflowValidateDeclaration(obj) {
+    const errors = [];
+    const warnings = [];
+    const error = (path, message) => errors.push({ path, message });
+    const warn = (path, message) => warnings.push({ path, message });
+    const isObject = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+    const isCount = v => Number.isInteger(v) && v >= 0;
+
+    function unknownKeys(path, record, known) {
+        Object.keys(record).filter(key => !known.includes(key)).forEach(key => {
+            warn(jsonPath(path, key), "unknown key is ignored");
+        });
+    }
+
+    function position(path, record) {
+        for (const key of ['x', 'y']) {
+            if (record[key] === undefined) {
+                warn(jsonPath(path, key), "missing position");
+            } else if (typeof record[key] !== 'number') {
+                error(jsonPath(path, key), "position must be a number");
+            }
+        }
+    }
+
+    if (!isObject(obj)) {
+        error('$', "declaration must be an object");
+        return { ok: false, errors, warnings };
+    }
+    unknownKeys('$', obj, declarationKeys.root);
+    if (obj.version !== version) {
+        error('$.version', "invalid model version: " + obj.version);
+    }
+    if (obj.modelType !== undefined && !Object.values(PFlowModel).includes(obj.modelType)) {
+        error('$.modelType', "unknown model type: " + obj.modelType);
+    }
+    const places = isObject(obj.places) ? obj.places : {};
+    const transitions = isObject(obj.transitions) ? obj.transitions : {};
+    // own keys only, so labels like toString do not resolve to Object.prototype members
+    const isPlace = label => Object.hasOwn(places, label);
+    const isTransition = label => Object.hasOwn(transitions, label);
+    if (!isObject(obj.places)) {
+        error('$.places', "places must be an object");
+    }
+    if (!isObject(obj.transitions)) {
+        error('$.transitions', "transitions must be an object");
+    }
+    if (!Array.isArray(obj.arcs)) {
+        error('$.arcs', "arcs must be an array");
+    }
+
+    const offsets = {};
+    Object.keys(places).forEach((label, index) => {
+        const path = jsonPath('$.places', label);
+        const place = places[label];
+        if (!isObject(place)) {
+            error(path, "place must be an object");
+            return;
+        }
+        unknownKeys(path, place, declarationKeys.place);
+        position(path, place);
+        if (isTransition(label)) {
+            error(path, "label is used by both a place and a transition");
+        }
+        // offsets follow the order of places on load, a bad offset is rewritten rather than rejected
+        if (place.offset !== undefined) {
+            if (!isCount(place.offset)) {
+                warn(jsonPath(path, 'offset'), `offset must be a non-negative integer, it is reassigned to ${index} on load`);
+            } else if (offsets[place.offset] !== undefined) {
+                warn(jsonPath(path, 'offset'), `offset ${place.offset} is also used by place ${offsets[place.offset]}, it is reassigned to ${index} on load`);
+            } else {
+                offsets[place.offset] = label;
+                if (place.offset !== index) {
+                    warn(jsonPath(path, 'offset'), `offset is reassigned to ${index} on load`);
+                }
+            }
+        }
+        const capacity = place.capacity || 0;
+        if (!isCount(capacity)) {
+            error(jsonPath(path, 'capacity'), "capacity must be a non-negative integer");
+        }
+        const initial = Array.isArray(place.initial) ? place.initial.length : place.initial || 0;
+        if (!Array.isArray(place.initial) && !isCount(initial)) {
+            error(jsonPath(path, 'initial'), "initial must be a non-negative integer or a list of tokens");
+        } else if (isCount(capacity) && capacity > 0 && initial > capacity) {
+            error(jsonPath(path, 'initial'), `initial marking ${initial} exceeds capacity ${capacity}`);
+        }
+    });
+
+    for (const label in transitions) {
+        const path = jsonPath('$.transitions', label);
+        const t = transitions[label];
+        if (!isObject(t)) {
+            error(path, "transition must be an object");
+            continue;
+        }
+        unknownKeys(path, t, declarationKeys.transition);
+        position(path, t);
+        if (t.role !== undefined && typeof t.role !== 'string') {
+            error(jsonPath(path, 'role'), "role must be a string");
+        }
+        for (const key of ['rate', 'delay']) {
+            if (t[key] !== undefined && !(typeof t[key] === 'number' && t[key] >= 0)) {
+                error(jsonPath(path, key), `${key} must be a non-negative number`);
+            }
+        }
+        if (t.guard !== undefined && typeof t.guard !== 'string') {
+            error(jsonPath(path, 'guard'), "guard must be an expression string");
+        }
+    }
+
+    const seen = {};
+    (Array.isArray(obj.arcs) ? obj.arcs : []).forEach((arc, i) => {
+        const path = jsonPath('$.arcs', i);
+        if (!isObject(arc)) {
+            error(path, "arc must be an object");
+            return;
+        }
+        unknownKeys(path, arc, declarationKeys.arc);
+        let ends = true;
+        for (const key of ['source', 'target']) {
+            if (!isPlace(arc[key]) && !isTransition(arc[key])) {
+                error(jsonPath(path, key), `unknown node: ${arc[key]}`);
+                ends = false;
+            }
+        }
+        if (ends && isPlace(arc.source) === isPlace(arc.target)) {
+            error(path, isPlace(arc.source) ? "arc connects two places" : "arc connects two transitions");
+        }
+        if (arc.weight !== undefined && !(Number.isInteger(arc.weight) && arc.weight > 0)) {
+            error(jsonPath(path, 'weight'), "weight must be a positive integer");
+        }
+        if (arc.reentry) {
+            error(jsonPath(path, 'reentry'), "reentry is not supported");
+        }
+        if (arc.bind !== undefined) {
+            if (!isPlace(arc.source)) {
+                error(jsonPath(path, 'bind'), "bind is only allowed on place to transition arcs");
+            } else if ((arc.weight || 1) !== 1) {
+                error(jsonPath(path, 'bind'), "bound arcs must have weight 1");
+            }
+        }
+        if (arc.expr !== undefined && !isTransition(arc.source)) {
+            error(jsonPath(path, 'expr'), "expr is only allowed on transition to place arcs");
+        }
+        const key = arcKey(arc);
+        if (seen[key] !== undefined) {
+            warn(path, `duplicate of ${jsonPath('$.arcs', seen[key])}, only one weight is used`);
+        } else {
+            seen[key] = i;
+        }
+    });
+
+    return { ok: errors.length === 0, errors, warnings };
+}
+
+// validateDef checks a def object as read by the sandbox, its arcs hold node references instead of labels
+function validateDef(def) {
+    const errors = [];
+    const error = (path, message) => errors.push({ path, message });
+    const isObject = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+    const places = isObject(def.places) ? Object.values(def.places) : [];
+    const transitions = isObject(def.transitions) ? Object.values(def.transitions) : [];
+    if (!isObject(def.places)) {
+        error('$.places', "places must be an object");
+    }
+    if (!isObject(def.transitions)) {
+        error('$.transitions', "transitions must be an object");
+    }
+    if (!Array.isArray(def.arcs)) {
+        error('$.arcs', "arcs must be an array");
+    }
+
+    const offsets = new Set();
+    Object.keys(isObject(def.places) ? def.places : {}).forEach(label => {
+        const path = jsonPath('$.places', label);
+        const place = def.places[label];
+        if (!isObject(place)) {
+            error(path, "place must be an object");
+        } else if (!Number.isInteger(place.offset) || place.offset < 0 || place.offset >= places.length || offsets.has(place.offset)) {
+            error(jsonPath(path, 'offset'), `offset must be unique and between 0 and ${places.length - 1}`);
+        } else {
+            offsets.add(place.offset);
+        }
+    });
+    Object.keys(isObject(def.transitions) ? def.transitions : {}).forEach(label => {
+        const path = jsonPath('$.transitions', label);
+        const t = def.transitions[label];
+        if (!isObject(t)) {
+            error(path, "transition must be an object");
+        } else if (!isObject(t.guards)) {
+            error(jsonPath(path, 'guards'), "guards must be an object");
+        }
+    });
+
+    const kind = end => {
+        if (isObject(end) && places.includes(end.place)) {
+            return 'place';
+        }
+        return isObject(end) && transitions.includes(end.transition) ? 'transition' : undefined;
+    };
+    (Array.isArray(def.arcs) ? def.arcs : []).forEach((arc, i) => {
+        const path = jsonPath('$.arcs', i);
+        if (!isObject(arc)) {
+            error(path, "arc must be an object");
+            return;
+        }
+        const ends = ['source', 'target'].map(key => {
+            const found = kind(arc[key]);
+            if (!found) {
+                error(jsonPath(path, key), "must reference a place or transition of this model");
+            }
+            return found;
+        });
+        if (ends[0] && ends[0] === ends[1]) {
+            error(path, ends[0] === 'place' ? "arc connects two places" : "arc connects two transitions");
+        }
+        if (!(Number.isInteger(arc.weight) && arc.weight > 0)) {
+            error(jsonPath(path, 'weight'), "weight must be a positive integer");
+        }
+    });
+
+    return { ok: errors.length === 0, errors, warnings: [] };
+}
+
+/**
+ * layeredLayout orders a directed graph into layers in the style of Sugiyama
+ * cycles are broken by reversing DFS back edges, layers come from the longest path,
+ * long edges get dummy nodes and crossings are reduced with barycenter sweeps
+ *
+ * @param size - number of nodes
+ * @param edges - [[source, target], ...] node indexes
+ * @param roots - nodes the cycle-breaking DFS starts from, in order
+ * @returns {{layer: number[], order: number[][]}} layer of each node and the node order within each layer
+ */
+function layeredLayout(size, edges, roots = []) {
+    const out = [...Array(size)].map(() => []);
+    edges.forEach(([a, b]) => a !== b && out[a].push(b));
+
+    // break cycles, edges pointing back to a node on the DFS stack are reversed
+    const state = new Array(size).fill(0); // 0 new, 1 on stack, 2 done
+    const dag = [];
+    const visit = start => {
+        const stack = [[start, 0]];
+        state[start] = 1;
+        while (stack.length > 0) {
+            const top = stack[stack.length - 1];
+            const [v, i] = top;
+            if (i === out[v].length) {
+                state[v] = 2;
+                stack.pop();
+                continue;
+            }
+            top[1]++;
+            const w = out[v][i];
+            if (state[w] === 1) {
+                dag.push([w, v]);
+            } else {
+                dag.push([v, w]);
+                if (state[w] === 0) {
+                    state[w] = 1;
+                    stack.push([w, 0]);
+                }
+            }
+        }
+    };
+    const incoming = new Array(size).fill(0);
+    edges.forEach(([a, b]) => a !== b && incoming[b]++);
+    [...roots, ...[...Array(size).keys()].filter(v => incoming[v] === 0), ...Array(size).keys()].forEach(v => {
+        if (state[v] === 0) {
+            visit(v);
+        }
+    });
+
+    // longest path layering
+    const layer = new Array(size).fill(0);
+    const preds = [...Array(size)].map(() => []);
+    dag.forEach(([a, b]) => preds[b].push(a));
+    const done = new Array(size).fill(false);
+    const depth = v => {
+        const stack = [v];
+        while (stack.length > 0) {
+            const u = stack[stack.length - 1];
+            const pending = preds[u].filter(p => !done[p]);
+            if (pending.length > 0) {
+                stack.push(...pending);
+                continue;
+            }
+            stack.pop();
+            if (!done[u]) {
+                layer[u] = preds[u].reduce((max, p) => Math.max(max, layer[p] + 1), 0);
+                done[u] = true;
+            }
+        }
+    };
+    for (let v = 0; v < size; v++) {
+        depth(v);
+    }
+
+    // dummy nodes split edges that span more than one layer
+    const layerOf = [...layer];
+    const links = [];
+    dag.forEach(([a, b]) => {
+        let prev = a;
+        for (let l = layerOf[a] + 1; l < layerOf[b]; l++) {
+            layerOf.push(l);
+            links.push([prev, layerOf.length - 1]);
+            prev = layerOf.length - 1;
+        }
+        links.push([prev, b]);
+    });
+    const layers = [];
+    layerOf.forEach((l, v) => {
+        (layers[l] = layers[l] || []).push(v);
+    });
+    const up = layerOf.map(() => []);
+    const down = layerOf.map(() => []);
+    links.forEach(([a, b]) => {
+        down[a].push(b);
+        up[b].push(a);
+    });
+
+    const crossings = order => {
+        const pos = [];
+        order.forEach(nodes => nodes.forEach((v, i) => pos[v] = i));
+        let count = 0;
+        for (let l = 0; l + 1 < order.length; l++) {
+            const pairs = [];
+            order[l].forEach(v => down[v].forEach(w => pairs.push([pos[v], pos[w]])));
+            for (let i = 0; i < pairs.length; i++) {
+                for (let j = i + 1; j < pairs.length; j++) {
+                    if ((pairs[i][0] - pairs[j][0]) * (pairs[i][1] - pairs[j][1]) < 0) {
+                        count++;
+                    }
+                }
+            }
+        }
+        return count;
+    };
+
+    // barycenter sweeps, alternating downwards and upwards, the order with the fewest crossings wins
+    let order = layers.map(nodes => [...nodes]);
+    let best = order.map(nodes => [...nodes]);
+    let fewest = crossings(best);
+    for (let sweep = 0; sweep < 8 && fewest > 0; sweep++) {
+        const downwards = sweep % 2 === 0;
+        const pos = [];
+        order.forEach(nodes => nodes.forEach((v, i) => pos[v] = i));
+        const range = downwards ? [...order.keys()].slice(1) : [...order.keys()].reverse().slice(1);
+        range.forEach(l => {
+            const neighbours = downwards ? up : down;
+            const weight = v => neighbours[v].length === 0 ? pos[v] : neighbours[v].reduce((sum, w) => sum + pos[w], 0) / neighbours[v].length;
+            const weights = new Map(order[l].map(v => [v, weight(v)]));
+            order[l].sort((a, b) => weights.get(a) - weights.get(b));
+            order[l].forEach((v, i) => pos[v] = i);
+        });
+        const count = crossings(order);
+        if (count < fewest) {
+            fewest = count;
+            best = order.map(nodes => [...nodes]);
+        }
+    }
+
+    return { layer, order: best };
+}
+
+/**
+ * pflowModel is a factory function that creates a model object
+ * that can be used to simulate a petriNet, workflow, or elementary net
+ * @param schema
+ * @param declaration
+ * @param type
+ * @param coloured - places hold multisets of token values instead of counts
+ * @param evalStrings - compile guard and expr strings with new Function when a coloured model fires
+ *   XXX this runs code stored in the declaration, only enable it for models from a trusted source XXX
+ * @returns Model
+ */
+function pflowModel({ schema, declaration, type, coloured, evalStrings }) {
+
+    const def = {
+        schema,
+        roles: {},
+        places: {},
+        transitions: {},
+        arcs: [],
+        boundSelect: [], // for group select/drag feature
+        mode: 'default', // application mode, editing,running, etc..
+        type: type || PFlowModel.petriNet,
+        coloured: !!coloured || !!(declaration && declaration.coloured)
+    };
+
+    function assert(flag, msg) {
+        if (!flag) {
+            throw new Error(msg);
+        }
+    }
+
+    function fn(label, role, position, attrs = {}) {
+        const transition = { label, role, position: position || {}, guards: {}, delta: {} };
+        if (attrs.rate !== undefined) {
+            assert(attrs.rate >= 0, "rate must not be negative: " + label);
+            transition.rate = attrs.rate;
+        }
+        if (attrs.delay !== undefined) {
+            assert(attrs.delay >= 0, "delay must not be negative: " + label);
+            transition.delay = attrs.delay;
+        }
+        if (attrs.guard !== undefined) {
+            transition.guard = attrs.guard; // coloured mode predicate over the binding
+        }
+        def.transitions[label] = transition;
+
+        function guard(weight, target) {
+            def.arcs.push({
+                source: { transition },
+                target: target,
+                weight: weight,
+                inhibit: true,
+                inverted: true
+            });
+            assert(target.place, "target node must be a place");
+        }
+        // expr is a variable name, expression string or function(binding) producing coloured tokens
+        function tx(weight, target, expr) {
+            assert(target, "target is null");
+            assert(target.place, "target node must be a place");
+            const arc = {
+                source: { transition: transition },
+                target,
+                weight,
+                inhibit: false
+            };
+            if (expr !== undefined) {
+                arc.expr = expr;
+            }
+            def.arcs.push(arc);
+        }
+
+        return {
+            transition: transition,
+            tx,
+            guard
+        };
+    }
+
+    function cell(label, initial, capacity, position, colour) {
+        const place = {
+            label: label,
+            initial: initial || 0,
+            capacity: capacity || 0,
+            position: position || {},
+            offset: Object.keys(def.places).length
+        };
+        if (Array.isArray(initial)) {
+            place.tokens = [...initial]; // coloured tokens
+            place.initial = initial.length;
+        }
+        if (colour) {
+            place.colour = colour;
+        }
+        def.places[label] = place;
+
+        // bind names the variable a consumed coloured token is bound to
+        function tx(weight, target, bind) {
+            const arc = {
+                source: { place: place },
+                target: target,
+                weight: weight || 1,
+                inhibit: false
+            };
+            if (bind !== undefined) {
+                assert(arc.weight === 1, "bound arcs must have weight 1");
+                arc.bind = bind;
+            }
+            def.arcs.push(arc);
+            assert(target.transition, "target node must be a transition");
+        }
+
+        function guard(weight, target) {
+            def.arcs.push({
+                source: { place },
+                target: target,
+                weight: weight,
+                inhibit: true
+            });
+            assert(target.transition, "target node must be a transition");
+        }
+
+        return { place, tx, guard };
+    }
+
+    function role(label) {
+        if (!def.roles[label]) {
+            def.roles[label] = { label };
+        }
+        return def.roles[label];
+    }
+
+    function emptyVector() {
+        const v = [];
+        for (const p of Object.keys(def.places)) {
+            v.push(0);
+        }
+        return v;
+    }
+
+    function initialVector() {
+        const v = emptyVector();
+        for (const p of Object.values(def.places)) {
+            v[p.offset || 0] = p.initial;
+        }
+        return v;
+    }
+
+    function capacityVector() {
+        const v = [];
+        for (const p of Object.values(def.places)) {
+            v[p.offset] = p.capacity || 0;
+        }
+        return v;
+    }
+
+    function loadDeclarationObject(obj) {
+        const { errors } = pflowValidateDeclaration(obj);
+        if (errors.length > 0) {
+            throw new Error("invalid declaration:\n" + errors.map(e => `${e.path}: ${e.message}`).join('\n'));
+        }
+        const nodes = {};
+        for (const [label, _] of Object.entries(obj.places)) {
+            const { initial, capacity, x, y, colour } = obj.places[label];
+            nodes[label] = cell(label, initial, capacity, { x, y }, colour);
+        }
+        for (const [label, _] of Object.entries(obj.transitions)) {
+            const { x, y, rate, delay, guard } = obj.transitions[label];
+            nodes[label] = fn(label, role(obj.transitions[label].role || "default"), { x, y }, { rate, delay, guard });
+        }
+        for (const arc of obj.arcs) {
+            const { source, target, inhibit, reentry, bind, expr } = arc;
+            const weight = arc.weight || 1;
+            if (!Object.hasOwn(nodes, source)) {
+                throw new Error("invalid arc sourceObj: " + source);
+            }
+            if (!Object.hasOwn(nodes, target)) {
+                throw new Error("invalid arc targetObj: " + target);
+            }
+            const sourceObj = nodes[source];
+            const targetObj = nodes[target];
+            if (Object.hasOwn(obj.places, source)) {
+                if (!Object.hasOwn(obj.transitions, target)) {
+                    throw new Error("invalid arc target label: " + target);
+                }
+                if (inhibit) {
+                    sourceObj.guard(weight, targetObj);
+                } else {
+                    sourceObj.tx(weight, targetObj, bind);
+                }
+                if (reentry) {
+                    throw new Error("reentry must use transition->place arc");
+                }
+            } else if (Object.hasOwn(obj.transitions, source)) {
+                if (!Object.hasOwn(obj.places, target)) {
+                    throw new Error("invalid arc");
+                }
+                if (inhibit) {
+                    sourceObj.guard(weight, targetObj);
+                } else {
+                    sourceObj.tx(weight, targetObj, expr);
+                }
+                if (reentry) {
+                    // FIXME: reentry is not supported
+                    sourceObj.reentry(targetObj);
+                }
+            }
+        }
+    }
+
+    function index() {
         for (const transition of Object.values(def.transitions)) {
             transition.delta = emptyVector(); // right size all deltas
         }
-        let ok = true;
-        for (const arc of Object.values(def.arcs)) {
-            if (arc.inhibit) {
-                if (arc.source.transition && arc.target.place) {
-                    arc.source.transition.guards[arc.target.place.label] = {
-                        label: arc.target.place.label,
-                        delta: emptyVector()
-                    };
-                    arc.source.transition.inverted = true;
-                    arc.source.transition.guards[arc.target.place.label].delta[arc.target.place.offset] = 0 - arc.weight;
-                } else if (arc.source.place && arc.target.transition) {
-                    const g = {
-                        label: arc.source.place.label,
-                        delta: emptyVector()
-                    };
-                    arc.target.transition.guards[arc.source.place.label] = g;
-                    g.delta[arc.source.place.offset] = 0 - arc.weight;
-                } else {
-                    ok = false;
+        let ok = true;
+        for (const arc of Object.values(def.arcs)) {
+            if (arc.inhibit) {
+                if (arc.source.transition && arc.target.place) {
+                    arc.source.transition.guards[arc.target.place.label] = {
+                        label: arc.target.place.label,
+                        delta: emptyVector()
+                    };
+                    arc.source.transition.inverted = true;
+                    arc.source.transition.guards[arc.target.place.label].delta[arc.target.place.offset] = 0 - arc.weight;
+                } else if (arc.source.place && arc.target.transition) {
+                    const g = {
+                        label: arc.source.place.label,
+                        delta: emptyVector()
+                    };
+                    arc.target.transition.guards[arc.source.place.label] = g;
+                    g.delta[arc.source.place.offset] = 0 - arc.weight;
+                } else {
+                    ok = false;
+                }
+            } else if (arc.source.transition) {
+                arc.source.transition.delta[arc.target.place.offset] = arc.weight;
+            } else if (arc.source.place) {
+                arc.target.transition.delta[arc.source.place.offset] = 0 - arc.weight;
+            } else {
+                ok = false;
+            }
+        }
+        return ok;
+    }
+
+    function vectorAdd(state, delta, multiple) {
+        const cap = capacityVector();
+        const out = [];
+        let ok = true;
+        for (const i in state) {
+            out[i] = state[i] + delta[i] * multiple;
+            if (out[i] < 0) {
+                ok = false; // underflow: contains negative
+            } else if (cap[i] > 0 && cap[i] - out[i] < 0) {
+                ok = false; // overflow: exceeds capacity
+            }
+        }
+        return { out, ok };
+    }
+
+    function guardFails(testGuardArgs) {
+        const { state, action, multiple } = testGuardArgs;
+        assert(action, "action is nil");
+        const t = def.transitions[action];
+        assert(t, "action not found: " + action);
+
+        if (!t.guards) {
+            return { ok: false };
+        }
+        for (const guard of Object.values(t.guards)) {
+            const res = vectorAdd(state, guard.delta, multiple);
+            if (t.inverted) {
+                return { ok: res.ok === false };
+            } else {
+                return { ok: res.ok };
+            }
+        }
+        return { ok: false }; // inhibitor inactive
+    }
+
+    // transitionFails ignores guard conditions
+    function txFails(testFireArgs) {
+        const { state, action, multiple } = testFireArgs;
+        const t = def.transitions[action];
+        assert(t, "expected transition");
+        const res = vectorAdd(state, t.delta, multiple);
+        return { out: res.out, ok: !res.ok, role: t.role };
+    }
+
+    function testFire(testFireArgs) {
+        const { state, action, multiple } = testFireArgs;
+        const t = def.transitions[action];
+        if (guardFails(testFireArgs).ok) {
+            return { out: null, ok: false, role: t.role };
+        }
+        const res = vectorAdd(state, t.delta, multiple);
+        return { out: res.out, ok: res.ok, role: t.role };
+    }
+
+    function fire(fireArgs, resolve, reject) {
+        let res = testFire(fireArgs);
+        switch (def.type) {
+            case PFlowModel.elementary:
+                if (!res.ok) {
+                    break;
+                }
+                let elementaryOutputs = 0;
+                let failsHardCap = false;
+                for (const i in res.out) {
+                    if (res.out[i] > 1) {
+                        failsHardCap = true;
+                    }
+                    if (res.out[i] > 0) {
+                        elementaryOutputs++;
+                    }
+                }
+                res.ok = !failsHardCap && elementaryOutputs < 2;
+                break;
+            case PFlowModel.workflow:
+                let wfOutputs = 0;
+                let failsWfCap = false;
+                const wfOut = emptyVector();
+                for (const i in res.out) {
+                    if (res.out[i] > 1) {
+                        failsWfCap = true;
+                    }
+                    if (res.out[i] > 0) {
+                        wfOutputs++;
+                        wfOut[i] = res.out[i];
+                    } // NOTE: ignore negative values
+                }
+                res.out = wfOut;
+                res.ok = !failsWfCap && wfOutputs < 2;
+                break;
+        }
+        if (res.ok) {
+            for (const i in res.out) {
+                fireArgs.state[i] = res.out[i];
+            }
+            if (resolve) {
+                resolve(res);
+            }
+        }
+        if (!res.ok && reject) {
+            reject(res);
+        }
+        return res;
+    }
+
+    /**
+     * reachability performs a breadth-first search of the state space starting from initialVector()
+     * each state records the shortest firing sequence (trace) that reaches it
+     *
+     * @param limit - maximum number of states to explore
+     * @param state - optional starting marking, defaults to initialVector()
+     * @param strict - also apply the elementary and workflow rules of fire(), by default only testFire() is used
+     * @returns {{states: [], edges: [], complete: boolean}}
+     */
+    function reachability({ limit, state, strict } = {}) {
+        const maxStates = limit || 1000;
+        const start = state ? [...state] : initialVector();
+        const actions = Object.keys(def.transitions);
+        const seen = new Map();
+        const states = [];
+        const edges = [];
+        let complete = true;
+
+        const visit = (marking, trace) => {
+            const key = marking.join(',');
+            if (seen.has(key)) {
+                return seen.get(key);
+            }
+            if (states.length >= maxStates) {
+                complete = false;
+                return;
+            }
+            const id = states.length;
+            seen.set(key, id);
+            states.push({ id, state: marking, trace });
+            return id;
+        };
+
+        visit(start, []);
+        for (let i = 0; i < states.length; i++) {
+            const { state: current, trace } = states[i];
+            for (const action of actions) {
+                let res = testFire({ state: current, action, multiple: 1 });
+                if (res.ok && strict) {
+                    res = fire({ state: [...current], action, multiple: 1 }); // fire() writes into state
+                }
+                if (!res.ok) {
+                    continue;
+                }
+                const target = visit(res.out, [...trace, action]);
+                if (target !== undefined) {
+                    edges.push({ source: i, target, action });
+                }
+            }
+        }
+        return { states, edges, complete };
+    }
+
+    /**
+     * incidenceMatrix exposes the transition deltas built by index()
+     * rows are places ordered by offset, columns are transitions in declaration order
+     * @returns {{places: string[], transitions: string[], matrix: number[][]}}
+     */
+    function incidenceMatrix() {
+        const places = [];
+        for (const p of Object.values(def.places)) {
+            places[p.offset] = p.label;
+        }
+        const transitions = Object.keys(def.transitions);
+        const matrix = places.map((_, i) => transitions.map(label => def.transitions[label].delta[i] || 0));
+        return { places, transitions, matrix };
+    }
+
+    function evaluate(expr, binding) {
+        if (typeof expr === 'function') {
+            return expr(binding);
+        }
+        if (Object.hasOwn(binding, expr)) {
+            return binding[expr]; // a bound variable name needs no evaluation
+        }
+        assert(evalStrings, "expression strings require evalStrings: " + expr);
+        const names = Object.keys(binding);
+        return new Function(...names, `return (${expr});`)(...names.map(n => binding[n]));
+    }
+
+    function colourMatches(colour, value) {
+        if (!colour) {
+            return true;
+        }
+        return value !== null && typeof value === colour;
+    }
+
+    /**
+     * initialMarking returns the coloured marking: one array of token values per place offset
+     * uncoloured tokens are represented by null
+     */
+    function initialMarking() {
+        const m = [];
+        for (const p of Object.values(def.places)) {
+            m[p.offset] = p.tokens ? [...p.tokens] : new Array(p.initial).fill(null);
+        }
+        return m;
+    }
+
+    function countVector(marking) {
+        return marking.map(tokens => tokens.length);
+    }
+
+    function colouredArcs(action) {
+        assert(def.coloured, "model is not coloured: " + def.schema);
+        const t = def.transitions[action];
+        assert(t, "action not found: " + action);
+        const inputs = def.arcs.filter(a => !a.inhibit && a.source.place && a.target.transition === t);
+        const outputs = def.arcs.filter(a => !a.inhibit && a.source.transition === t);
+        return { t, inputs, outputs };
+    }
+
+    // enumerate token choices for bound input arcs, joining on shared variable names
+    function enumerateBindings(marking, action) {
+        const { t, inputs } = colouredArcs(action);
+        const bound = inputs.filter(a => a.bind !== undefined);
+        const found = [];
+
+        const search = (i, binding, used) => {
+            if (i === bound.length) {
+                for (const a of inputs.filter(a => a.bind === undefined)) {
+                    const { offset } = a.source.place;
+                    if (marking[offset].length - (used[offset] || []).length < a.weight) {
+                        return;
+                    }
+                }
+                if (t.guard !== undefined && !evaluate(t.guard, binding)) {
+                    return;
+                }
+                if (!found.some(f => sameValue(f.binding, binding))) {
+                    found.push({ binding: { ...binding }, used: JSON.parse(JSON.stringify(used)) });
+                }
+                return;
+            }
+            const arc = bound[i];
+            const { offset } = arc.source.place;
+            const taken = used[offset] || [];
+            marking[offset].forEach((token, k) => {
+                if (taken.includes(k)) {
+                    return;
+                }
+                if (arc.bind in binding && !sameValue(binding[arc.bind], token)) {
+                    return;
+                }
+                const had = arc.bind in binding;
+                binding[arc.bind] = token;
+                used[offset] = [...taken, k];
+                search(i + 1, binding, used);
+                used[offset] = taken;
+                if (!had) {
+                    delete binding[arc.bind];
+                }
+            });
+        };
+        search(0, {}, {});
+        return found;
+    }
+
+    /**
+     * bindings lists the variable bindings under which a transition is enabled in a coloured marking
+     * @param marking - coloured marking, see initialMarking()
+     * @param action - transition label
+     * @returns {[]}
+     */
+    function bindings({ marking, action }) {
+        if (!testFire({ state: countVector(marking), action, multiple: 1 }).ok) {
+            return [];
+        }
+        return enumerateBindings(marking, action).map(f => f.binding);
+    }
+
+    /**
+     * fireBinding fires a transition in coloured mode, using the first enabled binding if none is given
+     * like fire() the marking is updated in place when the firing succeeds
+     */
+    function fireBinding(fireArgs, resolve, reject) {
+        const { marking, action } = fireArgs;
+        const { t, inputs, outputs } = colouredArcs(action);
+        const res = { ok: false, out: null, binding: fireArgs.binding, role: t.role };
+
+        const counts = testFire({ state: countVector(marking), action, multiple: 1 });
+        const choices = counts.ok ? enumerateBindings(marking, action) : [];
+        const choice = fireArgs.binding === undefined
+            ? choices[0]
+            : choices.find(c => sameValue(c.binding, fireArgs.binding));
+        if (choice) {
+            const out = marking.map((tokens, i) => tokens.filter((_, k) => !(choice.used[i] || []).includes(k)));
+            for (const a of inputs.filter(a => a.bind === undefined)) {
+                out[a.source.place.offset].splice(0, a.weight);
+            }
+            res.ok = true;
+            for (const a of outputs) {
+                const value = a.expr === undefined ? null : evaluate(a.expr, choice.binding);
+                if (!colourMatches(a.target.place.colour, value)) {
+                    res.ok = false;
+                }
+                for (let i = 0; i < a.weight; i++) {
+                    out[a.target.place.offset].push(value);
+                }
+            }
+            res.binding = choice.binding;
+            res.out = out;
+            res.state = countVector(out);
+        }
+        if (res.ok) {
+            for (const i in res.out) {
+                marking[i] = res.out[i];
+            }
+            if (resolve) {
+                resolve(res);
+            }
+        }
+        if (!res.ok && reject) {
+            reject(res);
+        }
+        return res;
+    }
+
+    if (typeof declaration === 'function') {
+        declaration({ fn, cell, role });
+    } else if (typeof declaration === 'object') {
+        const labelled = Array.isArray(declaration.arcs) && declaration.arcs.some(a => a && typeof a.source === 'string');
+        if (declaration.version !== undefined || labelled) {
+            loadDeclarationObject(declaration);
+        } else {
+            // def objects as read by the sandbox, arcs hold node references instead of labels
+            const { errors } = validateDef(declaration);
+            if (errors.length > 0) {
+                throw new Error("invalid declaration:\n" + errors.map(e => `${e.path}: ${e.message}`).join('\n'));
+            }
+            def.places = declaration.places;
+            def.transitions = declaration.transitions;
+            def.arcs = declaration.arcs;
+        }
+    }
+    if (!index()) {
+        throw new Error("invalid declaration: failed to index");
+    }
+
+    function isClose(a, b) {
+        return Math.abs(a - b) < 24; // REVIEW: compare to element handlers r=36
+    }
+
+    function isPositionClose(x1, y1, x2, y2) {
+        return isClose(x1, x2) && isClose(y1, y2);
+    }
+
+    function getNearbyNode(x, y) {
+        for (const label in def.places) {
+            const p = def.places[label];
+            if (isPositionClose(x, y, p.position.x, p.position.y)) {
+                return { place: p };
+            }
+        }
+        for (const label in def.transitions) {
+            const t = def.transitions[label];
+            if (isPositionClose(x, y, t.position.x, t.position.y)) {
+                return { transition: t };
+            }
+        }
+    }
+
+    function getNode(label) {
+        if (label in def.transitions) {
+            return { transition: def.transitions[label] };
+        } else if (label in def.places) {
+            return { place: def.places[label] };
+        }
+    }
+
+    /**
+     * layout places every node with a layered left-to-right layout, for models drawn without positions
+     * @param grid - snap positions to a grid, true uses the 60px grid of the sandbox pos() helper
+     * @param spacing - distance between layers (x) and between nodes of a layer (y)
+     * @param margin - distance from the top left corner
+     * @returns {{places: {}, transitions: {}}} the new positions by label
+     */
+    function layout({ grid, spacing = { x: 120, y: 90 }, margin = 60 } = {}) {
+        const nodes = [...Object.values(def.places), ...Object.values(def.transitions)];
+        const ids = new Map(nodes.map((n, i) => [n, i]));
+        const edges = def.arcs.map(arc => {
+            const source = arc.source.place || arc.source.transition;
+            const target = arc.target.place || arc.target.transition;
+            return [ids.get(source), ids.get(target)];
+        });
+        const roots = Object.values(def.places).filter(p => p.initial > 0).map(p => ids.get(p));
+        const { order } = layeredLayout(nodes.length, edges, roots);
+
+        const widest = Math.max(...order.map(l => l.length));
+        const size = grid === true ? 60 : grid;
+        const snap = v => size ? Math.round(v / size) * size : v;
+        const positions = { places: {}, transitions: {} };
+        order.forEach((layerNodes, l) => {
+            layerNodes.forEach((v, i) => {
+                const node = nodes[v];
+                if (!node) {
+                    return; // dummy node of a long edge
+                }
+                node.position = {
+                    x: snap(margin + l * spacing.x),
+                    y: snap(margin + (i + (widest - layerNodes.length) / 2) * spacing.y)
+                };
+                positions[def.places[node.label] === node ? 'places' : 'transitions'][node.label] = node.position;
+            });
+        });
+        return positions;
+    }
+
+    function getSize() {
+        let limitX = 0;
+        let limitY = 0;
+
+        for (const label in def.places) {
+            const p = def.places[label];
+            if (limitX < p.position.x) {
+                limitX = p.position.x;
+            }
+            if (limitY < p.position.y) {
+                limitY = p.position.y;
+            }
+        }
+        for (const label in def.transitions) {
+            const t = def.transitions[label];
+            if (limitX < t.position.x) {
+                limitX = t.position.x;
+            }
+            if (limitY < t.position.y) {
+                limitY = t.position.y;
+            }
+        }
+        const margin = 100;
+        return { width: limitX + margin, height: limitY + margin };
+    }
+
+    function toObject() {
+        let places = {};
+        let transitions = {};
+        const arcs = [];
+        for (const label in def.places) {
+            const p = def.places[label];
+            const { initial, capacity, offset, position } = p;
+            let pl = { offset, x: position.x, y: position.y };
+            if (p.tokens) {
+                pl.initial = [...p.tokens];
+            } else if (initial) {
+                pl.initial = initial;
+            }
+            if (capacity) {
+                pl.capacity = capacity;
+            }
+            if (p.colour) {
+                pl.colour = p.colour;
+            }
+            places[label] = pl;
+        }
+        for (const label in def.transitions) {
+            const t = def.transitions[label];
+            let guards = {};
+            Object.values(t.guards || {}).forEach((g, k) => {
+                const { delta } = g;
+                guards[k] = delta;
+            });
+            const { position } = t;
+            if (t.role && t.role.label !== "default") {
+                transitions[label] = { role: t.role.label, x: position.x, y: position.y };
+            } else {
+                transitions[label] = { x: position.x, y: position.y };
+            }
+            if (t.rate !== undefined) {
+                transitions[label].rate = t.rate;
+            }
+            if (t.delay !== undefined) {
+                transitions[label].delay = t.delay;
+            }
+            if (typeof t.guard === 'string') {
+                transitions[label].guard = t.guard; // predicate functions cannot be serialized
+            }
+        }
+        def.arcs.forEach(a => {
+            let rec = {
+                source: a.source.transition ? a.source.transition.label : a.source.place.label,
+                target: a.target.transition ? a.target.transition.label : a.target.place.label,
+                weight: Math.abs(a.weight)
+            };
+            if (a.inhibit) {
+                rec.inhibit = true;
+            }
+            if (a.bind !== undefined) {
+                rec.bind = a.bind;
+            }
+            if (typeof a.expr === 'string') {
+                rec.expr = a.expr;
+            }
+            if (a.reentry) {
+                rec = rec.reentry = true;
+            }
+            arcs.push(rec);
+        });
+        const obj = {
+            modelType: def.type,
+            version,
+            places,
+            transitions,
+            arcs
+        };
+        if (def.coloured) {
+            obj.coloured = true;
+        }
+        return obj;
+    }
+
+    return {
+        def,
+        version,
+        toObject,
+        dsl: { fn, cell, role },
+        capacity: capacityVector(),
+        getSize,
+        getNode,
+        getNearbyNode,
+        layout,
+        index,
+        txFails,
+        guardFails,
+        vectorAdd,
+        emptyVector,
+        initialVector,
+        capacityVector,
+        testFire,
+        fire,
+        reachability,
+        incidenceMatrix,
+        initialMarking,
+        countVector,
+        bindings,
+        fireBinding
+    };
+}
+
+/**
+ * pflowCompose flattens component models into a single pflowModel
+ * every label is namespaced as `ns.label`, roles are shared across components
+ *
+ * a refined transition keeps its input arcs and feeds the entry place of its subnet,
+ * a new `<transition>.exit` transition drains the subnet exit place and produces the original outputs
+ *
+ * fused places share one token count, the first label of a group names the fused place
+ * and supplies its position and capacity
+ *
+ * @param schema - schema of the composed model
+ * @param type - model type, defaults to the type of the first component
+ * @param components - { ns: pflowModel }
+ * @param refine - { 'ns.transition': { model, entry, exit } } entry/exit default to the subnet's only source/sink place
+ * @param fuse - [ ['a.place', 'b.place'], ... ]
+ * @returns pflowModel
+ */
+function pflowCompose({ schema, type, components, refine = {}, fuse = [] }) {
+    const places = {};
+    const transitions = {};
+    const arcs = [];
+    let coloured = false;
+
+    function define(nodes, label, node) {
+        if (places[label] || transitions[label]) {
+            throw new Error("label already defined: " + label);
+        }
+        nodes[label] = node;
+    }
+
+    function include(ns, model, shift = { x: 0, y: 0 }) {
+        const obj = model.toObject();
+        coloured = coloured || !!obj.coloured;
+        for (const label in obj.places) {
+            const { offset, ...place } = obj.places[label];
+            define(places, ns + '.' + label, { ...place, x: place.x + shift.x, y: place.y + shift.y });
+        }
+        for (const label in obj.transitions) {
+            const t = obj.transitions[label];
+            define(transitions, ns + '.' + label, { ...t, x: t.x + shift.x, y: t.y + shift.y });
+        }
+        obj.arcs.forEach(arc => {
+            arcs.push({ ...arc, source: ns + '.' + arc.source, target: ns + '.' + arc.target });
+        });
+        return obj;
+    }
+
+    function terminal(obj, end) {
+        const linked = new Set(obj.arcs.map(arc => end === 'entry' ? arc.target : arc.source));
+        const found = Object.keys(obj.places).filter(label => !linked.has(label));
+        if (found.length !== 1) {
+            throw new Error(`subnet ${end} place is ambiguous: ` + found.join(', '));
+        }
+        return found[0];
+    }
+
+    for (const ns in components) {
+        include(ns, components[ns]);
+    }
+
+    for (const label in refine) {
+        const t = transitions[label];
+        if (!t) {
+            throw new Error("refined transition not found: " + label);
+        }
+        const sub = refine[label].model.toObject();
+        const entry = refine[label].entry || terminal(sub, 'entry');
+        const exit = refine[label].exit || terminal(sub, 'exit');
+        if (!sub.places[entry] || !sub.places[exit]) {
+            throw new Error("subnet entry and exit must be places: " + label);
+        }
+        const xs = Object.values(sub.places).concat(Object.values(sub.transitions));
+        const shift = {
+            x: t.x + 60 - Math.min(...xs.map(n => n.x)),
+            y: t.y - Math.min(...xs.map(n => n.y))
+        };
+        include(label, refine[label].model, shift);
+        delete places[label + '.' + entry].initial;
+
+        const exitPlace = places[label + '.' + exit];
+        const done = label + '.exit';
+        define(transitions, done, { ...t, x: exitPlace.x + 60, y: exitPlace.y });
+        arcs.forEach(arc => {
+            if (arc.source === label && !arc.inhibit) {
+                arc.source = done;
+            }
+        });
+        arcs.push({ source: label, target: label + '.' + entry, weight: 1 });
+        arcs.push({ source: label + '.' + exit, target: done, weight: 1 });
+    }
+
+    fuse.forEach(group => {
+        group.forEach(label => {
+            if (!places[label]) {
+                throw new Error("fused place not found: " + label);
+            }
+        });
+        const [target, ...others] = group;
+        const initial = JSON.stringify(places[target].initial || 0);
+        others.forEach(label => {
+            if (JSON.stringify(places[label].initial || 0) !== initial) {
+                throw new Error("fused places must share an initial marking: " + group.join(', '));
+            }
+            delete places[label];
+            arcs.forEach(arc => {
+                arc.source = arc.source === label ? target : arc.source;
+                arc.target = arc.target === label ? target : arc.target;
+            });
+        });
+    });
+
+    // fusion can leave parallel arcs, index() keeps only one delta per place so weights are summed
+    const merged = [];
+    arcs.forEach(arc => {
+        const same = merged.find(a => a.source === arc.source && a.target === arc.target && !a.inhibit && !arc.inhibit &&
+            a.bind === undefined && arc.bind === undefined && a.expr === undefined && arc.expr === undefined);
+        if (same) {
+            same.weight += arc.weight;
+        } else {
+            merged.push({ ...arc });
+        }
+    });
+
+    const first = components[Object.keys(components)[0]];
+    const modelType = type || (first ? first.def.type : PFlowModel.petriNet);
+    const declaration = { modelType, version, places, transitions, arcs: merged };
+    if (coloured) {
+        declaration.coloured = true;
+    }
+    return pflowModel({ schema, declaration, type: modelType });
+}
+
+const diffFields = {
+    places: ['initial', 'capacity', 'colour', 'x', 'y'],
+    transitions: ['role', 'rate', 'delay', 'guard', 'x', 'y'],
+    arcs: ['weight', 'bind', 'expr']
+};
+
+// arcKey names an arc by its endpoints, inhibitor arcs use -o
+function arcKey(arc) {
+    return arc.source + (arc.inhibit ? ' -o ' : ' -> ') + arc.target;
+}
+
+// diffRecords keys the places, transitions and arcs of a toObject() output
+function diffRecords(obj) {
+    const arcs = {};
+    (obj.arcs || []).forEach(arc => {
+        arcs[arcKey(arc)] = arc;
+    });
+    return { places: obj.places || {}, transitions: obj.transitions || {}, arcs };
+}
+
+// sameValue compares tokens, bindings and model fields by their JSON form
+function sameValue(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// fieldValue applies the toObject() defaults so a missing field equals its default
+function fieldValue(record, field) {
+    const value = record[field];
+    if (value === undefined && (field === 'initial' || field === 'capacity')) {
+        return 0;
+    }
+    if (value === undefined && field === 'weight') {
+        return 1;
+    }
+    return value;
+}
+
+// sameRecord compares the diffed fields of two records, either may be missing
+function sameRecord(kind, a, b) {
+    if (!a || !b) {
+        return a === b;
+    }
+    return Object.keys(recordChanges(kind, a, b)).length === 0;
+}
+
+function recordChanges(kind, from, to) {
+    const changes = {};
+    diffFields[kind].forEach(field => {
+        if (!sameValue(fieldValue(from, field), fieldValue(to, field))) {
+            changes[field] = { from: from[field], to: to[field] };
+        }
+    });
+    return changes;
+}
+
+/**
+ * diffModels compares two toObject() outputs
+ * arcs are identified as `source -> target` or `source -o target` for inhibitors
+ * @param a - declaration object before the change
+ * @param b - declaration object after the change
+ * @returns {{equal: boolean, places: {}, transitions: {}, arcs: {}}} each kind lists added, removed and changed records
+ */
+function diffModels(a, b) {
+    const before = diffRecords(a);
+    const after = diffRecords(b);
+    const out = { equal: true };
+    for (const kind in diffFields) {
+        const added = [];
+        const removed = [];
+        const changed = [];
+        for (const label in before[kind]) {
+            if (!after[kind][label]) {
+                removed.push({ label, from: before[kind][label] });
+                continue;
+            }
+            const changes = recordChanges(kind, before[kind][label], after[kind][label]);
+            if (Object.keys(changes).length > 0) {
+                changed.push({ label, changes });
+            }
+        }
+        for (const label in after[kind]) {
+            if (!before[kind][label]) {
+                added.push({ label, to: after[kind][label] });
+            }
+        }
+        out[kind] = { added, removed, changed };
+        out.equal = out.equal && added.length + removed.length + changed.length === 0;
+    }
+    return out;
+}
+
+/**
+ * mergeModels merges two edits of a common base declaration
+ * fields changed on one side only are taken from that side, fields changed differently on both sides are conflicts
+ * conflicts and arcs left without an endpoint are resolved in favour of ours and reported
+ * @param base - common ancestor declaration object
+ * @param ours - declaration object
+ * @param theirs - declaration object
+ * @returns {{declaration: {}, conflicts: {kind: string, label: string, field: string, base, ours, theirs}[]}}
+ */
+function mergeModels(base, ours, theirs) {
+    const records = { base: diffRecords(base), ours: diffRecords(ours), theirs: diffRecords(theirs) };
+    const conflicts = [];
+    const merged = {};
+    for (const kind in diffFields) {
+        const b = records.base[kind];
+        const o = records.ours[kind];
+        const t = records.theirs[kind];
+        merged[kind] = {};
+        const labels = [...new Set([...Object.keys(o), ...Object.keys(t), ...Object.keys(b)])];
+        labels.forEach(label => {
+            if (sameRecord(kind, o[label], t[label]) || sameRecord(kind, t[label], b[label])) {
+                if (o[label]) {
+                    merged[kind][label] = { ...o[label] };
+                }
+                return;
+            }
+            if (sameRecord(kind, o[label], b[label])) {
+                if (t[label]) {
+                    merged[kind][label] = { ...t[label] };
+                }
+                return;
+            }
+            if (!o[label] || !t[label]) { // removed on one side, changed on the other
+                conflicts.push({ kind, label, field: null, base: b[label], ours: o[label], theirs: t[label] });
+                if (o[label]) {
+                    merged[kind][label] = { ...o[label] };
+                }
+                return;
+            }
+            const record = { ...o[label] };
+            const from = b[label] || {};
+            diffFields[kind].forEach(field => {
+                const oursChanged = !sameValue(fieldValue(from, field), fieldValue(o[label], field));
+                const theirsChanged = !sameValue(fieldValue(from, field), fieldValue(t[label], field));
+                if (theirsChanged && !oursChanged) {
+                    record[field] = t[label][field];
+                } else if (theirsChanged && !sameValue(fieldValue(o[label], field), fieldValue(t[label], field))) {
+                    conflicts.push({ kind, label, field, base: from[field], ours: o[label][field], theirs: t[label][field] });
+                }
+                if (record[field] === undefined) {
+                    delete record[field];
+                }
+            });
+            merged[kind][label] = record;
+        });
+    }
+
+    const arcs = [];
+    const nodes = { ...merged.places, ...merged.transitions };
+    for (const label in merged.arcs) {
+        const arc = merged.arcs[label];
+        if (!nodes[arc.source] || !nodes[arc.target]) {
+            conflicts.push({ kind: 'arcs', label, field: null, base: records.base.arcs[label], ours: records.ours.arcs[label], theirs: records.theirs.arcs[label] });
+            continue;
+        }
+        arcs.push(arc);
+    }
+    Object.values(merged.places).forEach((place, offset) => {
+        place.offset = offset;
+    });
+    const declaration = {
+        modelType: ours.modelType || theirs.modelType,
+        version,
+        places: merged.places,
+        transitions: merged.transitions,
+        arcs
+    };
+    if (ours.coloured || theirs.coloured) {
+        declaration.coloured = true;
+    }
+    return { declaration, conflicts };
+}
+
+/**
+ * pflowCoverability builds a Karp-Miller coverability graph for a model
+ * places that can grow without limit are marked with ω (Infinity) and reported as unbounded
+ * a sequence that grows a place with a capacity is never accelerated, vectorAdd stops it eventually
+ * NOTE: inhibitor guards are evaluated as-is, the result is exact only for nets without guards
+ *
+ * @param model - pflowModel
+ * @param limit - maximum number of nodes to explore
+ * @returns {{nodes: [], edges: [], unbounded: [], bounds: {}, bounded: boolean, complete: boolean}}
+ */
+function pflowCoverability(model, { limit } = {}) {
+    const maxNodes = limit || 1000;
+    const cap = model.capacityVector();
+    const actions = Object.keys(model.def.transitions);
+    const labels = [];
+    for (const p of Object.values(model.def.places)) {
+        labels[p.offset] = p.label;
+    }
+    const seen = new Map();
+    const nodes = [];
+    const edges = [];
+    const unbounded = [];
+    let complete = true;
+
+    // a pump can only repeat forever if it grows no place that has a capacity
+    const covers = (big, small) => {
+        let strict = false;
+        for (const i in small) {
+            if (big[i] < small[i]) {
+                return false;
+            }
+            if (big[i] > small[i]) {
+                if (cap[i] > 0) {
+                    return false;
+                }
+                strict = true;
+            }
+        }
+        return strict;
+    };
+
+    const addNode = (state, parent, trace) => {
+        const key = state.join(',');
+        if (seen.has(key)) {
+            return seen.get(key);
+        }
+        if (nodes.length >= maxNodes) {
+            complete = false;
+            return;
+        }
+        const id = nodes.length;
+        seen.set(key, id);
+        nodes.push({ id, state, parent, trace });
+        return id;
+    };
+
+    addNode(model.initialVector(), null, []);
+    for (let n = 0; n < nodes.length; n++) {
+        const node = nodes[n];
+        for (const action of actions) {
+            const res = model.testFire({ state: node.state, action, multiple: 1 });
+            if (!res.ok) {
+                continue;
+            }
+            const state = res.out;
+            const trace = [...node.trace, action];
+            // accelerate against every ancestor the new marking strictly covers
+            for (let a = node; a; a = a.parent === null ? null : nodes[a.parent]) {
+                if (!covers(state, a.state)) {
+                    continue;
                 }
-            } else if (arc.source.transition) {
-                arc.source.transition.delta[arc.target.place.offset] = arc.weight;
-            } else if (arc.source.place) {
-                arc.target.transition.delta[arc.source.place.offset] = 0 - arc.weight;
-            } else {
-                ok = false;
+                for (const i in state) {
+                    if (state[i] > a.state[i] && state[i] !== Infinity) {
+                        state[i] = Infinity;
+                        if (!unbounded.some(u => u.offset === Number(i))) {
+                            unbounded.push({
+                                label: labels[i],
+                                offset: Number(i),
+                                trace,
+                                pump: trace.slice(a.trace.length)
+                            });
+                        }
+                    }
+                }
+            }
+            const target = addNode(state, n, trace);
+            if (target !== undefined) {
+                edges.push({ source: n, target, action });
             }
         }
-        return ok;
     }
 
-    function vectorAdd(state, delta, multiple) {
-        const cap = capacityVector();
-        const out = [];
-        let ok = true;
-        for (const i in state) {
-            out[i] = state[i] + delta[i] * multiple;
-            if (out[i] < 0) {
-                ok = false; // underflow: contains negative
-            } else if (cap[i] > 0 && cap[i] - out[i] < 0) {
-                ok = false; // overflow: exceeds capacity
+    const bounds = {};
+    labels.forEach((label, i) => {
+        bounds[label] = Math.max(...nodes.map(node => node.state[i]));
+    });
+    return { nodes, edges, unbounded, bounds, bounded: unbounded.length === 0, complete };
+}
+
+function gcd(a, b) {
+    return b === 0 ? Math.abs(a) : gcd(b, a % b);
+}
+
+/**
+ * farkas computes the minimal semi-positive vectors x such that x·matrix = 0
+ * @param matrix - one row per candidate element
+ * @returns {number[][]}
+ */
+function farkas(matrix) {
+    const size = matrix.length;
+    const columns = size > 0 ? matrix[0].length : 0;
+    let rows = matrix.map((row, i) => ({
+        c: [...row],
+        x: matrix.map((_, k) => k === i ? 1 : 0)
+    }));
+    const support = x => x.reduce((acc, v, i) => v > 0 ? [...acc, i] : acc, []);
+    const isSubset = (a, b) => a.every(i => b.includes(i));
+
+    for (let j = 0; j < columns; j++) {
+        const next = rows.filter(r => r.c[j] === 0);
+        const pos = rows.filter(r => r.c[j] > 0);
+        const neg = rows.filter(r => r.c[j] < 0);
+        for (const p of pos) {
+            for (const q of neg) {
+                const a = -q.c[j];
+                const b = p.c[j];
+                const c = p.c.map((v, i) => a * v + b * q.c[i]);
+                const x = p.x.map((v, i) => a * v + b * q.x[i]);
+                const d = x.reduce(gcd, 0);
+                next.push({ c: c.map(v => v / d), x: x.map(v => v / d) });
             }
         }
-        return { out, ok };
+        // drop rows whose support is not minimal to keep the table small
+        rows = next.filter((r, i) => {
+            const s = support(r.x);
+            return !next.some((o, k) => {
+                const t = support(o.x);
+                if (!isSubset(t, s)) {
+                    return false;
+                }
+                return t.length < s.length || k < i;
+            });
+        });
     }
+    return rows.map(r => r.x);
+}
 
-    function guardFails(testGuardArgs) {
-        const { state, action, multiple } = testGuardArgs;
-        assert(action, "action is nil");
-        const t = def.transitions[action];
-        assert(t, "action not found: " + action);
+/**
+ * pflowInvariants computes the minimal semi-positive place and transition invariants of a model
+ * using the Farkas algorithm on the incidence matrix
+ *
+ * place invariants: weighted token sums that no firing can change, total is the sum at initialVector()
+ * transition invariants: firing counts that reproduce the marking they start from
+ *
+ * @param model - pflowModel
+ * @returns {{places: [], transitions: []}}
+ */
+function pflowInvariants(model) {
+    const { places, transitions, matrix } = model.incidenceMatrix();
+    const initial = model.initialVector();
+    const transposed = transitions.map((_, j) => places.map((_, i) => matrix[i][j]));
 
-        if (!t.guards) {
-            return { ok: false };
+    const labelled = (x, labels) => {
+        const weights = {};
+        x.forEach((w, i) => {
+            if (w > 0) {
+                weights[labels[i]] = w;
+            }
+        });
+        return { weights, support: Object.keys(weights) };
+    };
+
+    return {
+        places: farkas(matrix).map(x => ({
+            ...labelled(x, places),
+            total: x.reduce((sum, w, i) => sum + w * initial[i], 0)
+        })),
+        transitions: farkas(transposed).map(x => labelled(x, transitions))
+    };
+}
+
+/**
+ * stronglyConnected labels each node of a graph with its strongly connected component (iterative Tarjan)
+ * @param size - number of nodes
+ * @param edges - [{source, target}]
+ * @returns {number[]}
+ */
+function stronglyConnected(size, edges) {
+    const adj = Array.from({ length: size }, () => []);
+    edges.forEach(e => adj[e.source].push(e.target));
+    const index = new Array(size).fill(-1);
+    const low = [];
+    const onStack = [];
+    const stack = [];
+    const component = new Array(size).fill(-1);
+    let counter = 0;
+    let count = 0;
+
+    for (let root = 0; root < size; root++) {
+        if (index[root] !== -1) {
+            continue;
         }
-        for (const guard of Object.values(t.guards)) {
-            const res = vectorAdd(state, guard.delta, multiple);
-            if (t.inverted) {
-                return { ok: res.ok === false };
-            } else {
-                return { ok: res.ok };
+        const work = [[root, 0]];
+        while (work.length > 0) {
+            const frame = work[work.length - 1];
+            const [v, i] = frame;
+            if (i === 0 && index[v] === -1) {
+                index[v] = low[v] = counter++;
+                stack.push(v);
+                onStack[v] = true;
+            }
+            if (i < adj[v].length) {
+                frame[1]++;
+                const w = adj[v][i];
+                if (index[w] === -1) {
+                    work.push([w, 0]);
+                } else if (onStack[w]) {
+                    low[v] = Math.min(low[v], index[w]);
+                }
+                continue;
+            }
+            work.pop();
+            if (work.length > 0) {
+                const u = work[work.length - 1][0];
+                low[u] = Math.min(low[u], low[v]);
+            }
+            if (low[v] === index[v]) {
+                let w;
+                do {
+                    w = stack.pop();
+                    onStack[w] = false;
+                    component[w] = count;
+                } while (w !== v);
+                count++;
             }
         }
-        return { ok: false }; // inhibitor inactive
     }
+    return component;
+}
 
-    // transitionFails ignores guard conditions
-    function txFails(testFireArgs) {
-        const { state, action, multiple } = testFireArgs;
-        const t = def.transitions[action];
-        assert(t, "expected transition");
-        const res = vectorAdd(state, t.delta, multiple);
-        return { out: res.out, ok: !res.ok, role: t.role };
-    }
+/**
+ * pflowLiveness reports deadlocks and the liveness level of every transition
+ * based on the reachability graph from initialVector()
+ *
+ * levels: 0 - never fires (dead), 1 - fires at least once, 3 - can fire infinitely often,
+ * 4 - live: can be enabled again from every reachable marking
+ * NOTE: on a finite reachability graph L2 and L3 coincide, so 2 is never reported
+ *
+ * @param model - pflowModel
+ * @param limit - maximum number of states to explore, results are partial if complete is false
+ * @returns {{complete: boolean, deadMarkings: [], deadTransitions: string[], transitions: {}}}
+ */
+function pflowLiveness(model, { limit } = {}) {
+    const { states, edges, complete } = model.reachability({ limit });
+    const component = stronglyConnected(states.length, edges);
 
-    function testFire(testFireArgs) {
-        const { state, action, multiple } = testFireArgs;
-        const t = def.transitions[action];
-        if (guardFails(testFireArgs).ok) {
-            return { out: null, ok: false, role: t.role };
+    // states at the edge of a cut-short search have no edges yet, only a marking that enables nothing is dead
+    const outgoing = new Set(edges.map(e => e.source));
+    const labels = Object.keys(model.def.transitions);
+    const enables = state => labels.some(action => model.testFire({ state, action, multiple: 1 }).ok);
+    const deadMarkings = states.filter(s => !outgoing.has(s.id) && !enables(s.state)).map(({ state, trace }) => ({ state, trace }));
+
+    // bottom components have no edge leaving them, every run ends up in one
+    const bottom = new Set(component);
+    edges.forEach(e => {
+        if (component[e.source] !== component[e.target]) {
+            bottom.delete(component[e.source]);
         }
-        const res = vectorAdd(state, t.delta, multiple);
-        return { out: res.out, ok: res.ok, role: t.role };
-    }
+    });
 
-    function fire(fireArgs, resolve, reject) {
-        let res = testFire(fireArgs);
-        switch (def.type) {
-            case PFlowModel.elementary:
-                if (!res.ok) {
-                    break;
-                }
-                let elementaryOutputs = 0;
-                let failsHardCap = false;
-                for (const i in res.out) {
-                    if (res.out[i] > 1) {
-                        failsHardCap = true;
-                    }
-                    if (res.out[i] > 0) {
-                        elementaryOutputs++;
-                    }
-                }
-                res.ok = !failsHardCap && elementaryOutputs < 2;
-                break;
-            case PFlowModel.workflow:
-                let wfOutputs = 0;
-                let failsWfCap = false;
-                const wfOut = emptyVector();
-                for (const i in res.out) {
-                    if (res.out[i] > 1) {
-                        failsWfCap = true;
-                    }
-                    if (res.out[i] > 0) {
-                        wfOutputs++;
-                        wfOut[i] = res.out[i];
-                    } // NOTE: ignore negative values
-                }
-                res.out = wfOut;
-                res.ok = !failsWfCap && wfOutputs < 2;
-                break;
+    const transitions = {};
+    const deadTransitions = [];
+    for (const label of Object.keys(model.def.transitions)) {
+        const fired = edges.filter(e => e.action === label);
+        if (fired.length === 0) {
+            transitions[label] = { level: 0, trace: null };
+            deadTransitions.push(label);
+            continue;
         }
-        if (res.ok) {
-            for (const i in res.out) {
-                fireArgs.state[i] = res.out[i];
+        const first = fired[0]; // edges are discovered breadth-first
+        const trace = [...states[first.source].trace, label];
+        const cycles = fired.filter(e => component[e.source] === component[e.target]);
+        let level = 1;
+        if (cycles.length > 0) {
+            level = 3;
+            const covered = new Set(cycles.map(e => component[e.source]));
+            if ([...bottom].every(c => covered.has(c))) {
+                level = 4;
             }
-            if (resolve) {
-                resolve(res);
-            }
-        }
-        if (!res.ok && reject) {
-            reject(res);
         }
-        return res;
+        transitions[label] = { level, trace };
     }
+    return { complete, deadMarkings, deadTransitions, transitions };
+}
 
-    if (typeof declaration === 'function') {
-        declaration({ fn, cell, role });
-    } else if (typeof declaration === 'object') {
-        if (declaration.version) {
-            loadDeclarationObject(declaration);
-        } else if (declaration.transitions && declaration.places) {
-            def.places = declaration.places;
-            def.transitions = declaration.transitions;
-            def.arcs = declaration.arcs;
-        }
-    }
-    if (!index()) {
-        throw new Error("invalid declaration: failed to index");
+/**
+ * pflowSoundness verifies that a workflow model is a sound workflow net:
+ * one source place, one sink place, every node on a path between them,
+ * option to complete, proper completion and no dead transitions.
+ * behaviour is explored with the workflow rules of fire() starting from a single token in the source place
+ *
+ * @param model - pflowModel of type PFlowModel.workflow
+ * @param limit - maximum number of states to explore
+ * @returns {{sound: boolean, diagnostics: []}}
+ */
+function pflowSoundness(model, { limit } = {}) {
+    const { def } = model;
+    if (def.type !== PFlowModel.workflow) {
+        throw new Error("soundness requires a workflow model: " + def.type);
     }
+    const diagnostics = [];
+    const report = (severity, code, message, detail = {}) => {
+        diagnostics.push({ severity, code, message, places: [], transitions: [], ...detail });
+    };
 
-    function isClose(a, b) {
-        return Math.abs(a - b) < 24; // REVIEW: compare to element handlers r=36
+    const key = node => node.place ? 'p:' + node.place.label : 't:' + node.transition.label;
+    const forward = new Map();
+    const backward = new Map();
+    for (const label in def.places) {
+        forward.set('p:' + label, []);
+        backward.set('p:' + label, []);
+    }
+    for (const label in def.transitions) {
+        forward.set('t:' + label, []);
+        backward.set('t:' + label, []);
+    }
+    for (const arc of def.arcs) {
+        if (arc.inhibit) {
+            continue;
+        }
+        forward.get(key(arc.source)).push(key(arc.target));
+        backward.get(key(arc.target)).push(key(arc.source));
     }
 
-    function isPositionClose(x1, y1, x2, y2) {
-        return isClose(x1, x2) && isClose(y1, y2);
+    const sources = Object.keys(def.places).filter(label => backward.get('p:' + label).length === 0);
+    const sinks = Object.keys(def.places).filter(label => forward.get('p:' + label).length === 0);
+    if (sources.length !== 1) {
+        report('error', 'source', `expected one source place, found ${sources.length}`, { places: sources });
+    }
+    if (sinks.length !== 1) {
+        report('error', 'sink', `expected one sink place, found ${sinks.length}`, { places: sinks });
     }
+    if (sources.length !== 1 || sinks.length !== 1) {
+        return { sound: false, diagnostics };
+    }
+    const [source] = sources;
+    const [sink] = sinks;
 
-    function getNearbyNode(x, y) {
-        for (const label in def.places) {
-            const p = def.places[label];
-            if (isPositionClose(x, y, p.position.x, p.position.y)) {
-                return { place: p };
-            }
-        }
-        for (const label in def.transitions) {
-            const t = def.transitions[label];
-            if (isPositionClose(x, y, t.position.x, t.position.y)) {
-                return { transition: t };
+    const walk = (start, edges) => {
+        const visited = new Set([start]);
+        const queue = [start];
+        while (queue.length > 0) {
+            for (const next of edges.get(queue.shift())) {
+                if (!visited.has(next)) {
+                    visited.add(next);
+                    queue.push(next);
+                }
             }
         }
+        return visited;
+    };
+    const fromSource = walk('p:' + source, forward);
+    const toSink = walk('p:' + sink, backward);
+    const offPath = [...forward.keys()].filter(k => !fromSource.has(k) || !toSink.has(k));
+    if (offPath.length > 0) {
+        report('error', 'path', `nodes not on a path from ${source} to ${sink}`, {
+            places: offPath.filter(k => k.startsWith('p:')).map(k => k.substring(2)),
+            transitions: offPath.filter(k => k.startsWith('t:')).map(k => k.substring(2))
+        });
     }
 
-    function getNode(label) {
-        if (label in def.transitions) {
-            return { transition: def.transitions[label] };
-        } else if (label in def.places) {
-            return { place: def.places[label] };
-        }
+    const start = model.emptyVector();
+    start[def.places[source].offset] = 1;
+    const final = model.emptyVector();
+    final[def.places[sink].offset] = 1;
+    if (model.initialVector().join(',') !== start.join(',')) {
+        report('warning', 'initial', `initial marking should be a single token in ${source}`, { places: [source] });
     }
 
-    function getSize() {
-        let limitX = 0;
-        let limitY = 0;
+    const { states, edges, complete } = model.reachability({ state: start, limit, strict: true });
+    if (!complete) {
+        report('error', 'limit', `state space exceeds ${states.length} markings`);
+    }
+    const labels = [];
+    for (const p of Object.values(def.places)) {
+        labels[p.offset] = p.label;
+    }
+    const marked = state => labels.filter((_, i) => state[i] > 0);
 
-        for (const label in def.places) {
-            const p = def.places[label];
-            if (limitX < p.position.x) {
-                limitX = p.position.x;
-            }
-            if (limitY < p.position.y) {
-                limitY = p.position.y;
-            }
-        }
-        for (const label in def.transitions) {
-            const t = def.transitions[label];
-            if (limitX < t.position.x) {
-                limitX = t.position.x;
-            }
-            if (limitY < t.position.y) {
-                limitY = t.position.y;
+    const finalId = states.findIndex(s => s.state.join(',') === final.join(','));
+    const completes = new Set(finalId < 0 ? [] : [finalId]);
+    let changed = true;
+    while (changed) {
+        changed = false;
+        for (const e of edges) {
+            if (completes.has(e.target) && !completes.has(e.source)) {
+                completes.add(e.source);
+                changed = true;
             }
         }
-        const margin = 100;
-        return { width: limitX + margin, height: limitY + margin };
+    }
+    const stuck = states.find(s => !completes.has(s.id));
+    if (stuck) {
+        report('error', 'completion', `cannot complete from marking reached by [${stuck.trace}]`, {
+            places: marked(stuck.state),
+            trace: stuck.trace,
+            state: stuck.state
+        });
     }
 
-    function toObject() {
-        let places = {};
-        let transitions = {};
-        const arcs = [];
-        for (const label in def.places) {
-            const p = def.places[label];
-            const { initial, capacity, offset, position } = p;
-            let pl = { offset, x: position.x, y: position.y };
-            if (initial) {
-                pl.initial = initial;
-            }
-            if (capacity) {
-                pl.capacity = capacity;
-            }
-            places[label] = pl;
+    const sinkOffset = def.places[sink].offset;
+    const improper = states.find(s => s.state[sinkOffset] > 0 && s.id !== finalId);
+    if (improper) {
+        report('error', 'proper', `tokens remain when ${sink} is marked`, {
+            places: marked(improper.state).filter(label => label !== sink),
+            trace: improper.trace,
+            state: improper.state
+        });
+    }
+
+    const fired = new Set(edges.map(e => e.action));
+    const dead = Object.keys(def.transitions).filter(label => !fired.has(label));
+    if (dead.length > 0) {
+        report('error', 'dead', `transitions can never fire: ${dead.join(', ')}`, { transitions: dead });
+    }
+
+    return { sound: !diagnostics.some(d => d.severity === 'error'), diagnostics };
+}
+
+/**
+ * seededRandom returns a reproducible uniform generator in [0, 1) (mulberry32)
+ * @param seed - 32-bit integer
+ * @returns {function(): number}
+ */
+function seededRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = a + 0x6D2B79F5 >>> 0;
+        let t = a;
+        t = Math.imul(t ^ t >>> 15, t | 1);
+        t ^= t + Math.imul(t ^ t >>> 7, t | 61);
+        return ((t ^ t >>> 14) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * pflowStochastic simulates a model using Gillespie's direct method
+ * the propensity of an enabled transition is its rate (default 1) times
+ * the number of ways its input tokens can be chosen from the current marking
+ *
+ * @param model - pflowModel
+ * @param seed - random seed, reuse the returned seed to reproduce a run
+ * @param state - starting marking, defaults to initialVector()
+ * @param maxTime - stop before the clock passes this time
+ * @param maxSteps - stop after this many firings
+ * @returns {{seed: number, time: number, trajectory: []}}
+ */
+function pflowStochastic(model, { seed, state, maxTime, maxSteps } = {}) {
+    const runSeed = seed === undefined ? Date.now() >>> 0 : seed;
+    const random = seededRandom(runSeed);
+    const until = maxTime === undefined ? Infinity : maxTime;
+    const steps = maxSteps === undefined ? 1000 : maxSteps;
+    const actions = Object.keys(model.def.transitions);
+
+    const choose = (n, k) => {
+        let c = 1;
+        for (let i = 0; i < k; i++) {
+            c = c * (n - i) / (i + 1);
         }
-        for (const label in def.transitions) {
-            const t = def.transitions[label];
-            let guards = {};
-            Object.values(t.guards || {}).forEach((g, k) => {
-                const { delta } = g;
-                guards[k] = delta;
+        return c;
+    };
+
+    let current = state ? [...state] : model.initialVector();
+    let time = 0;
+    const trajectory = [{ time, action: null, state: current }];
+    for (let step = 0; step < steps; step++) {
+        const enabled = [];
+        let total = 0;
+        for (const action of actions) {
+            const res = model.testFire({ state: current, action, multiple: 1 });
+            if (!res.ok) {
+                continue;
+            }
+            const t = model.def.transitions[action];
+            let propensity = t.rate === undefined ? 1 : t.rate;
+            t.delta.forEach((v, i) => {
+                if (v < 0) {
+                    propensity *= choose(current[i], -v);
+                }
             });
-            const { position } = t;
-            if (t.role && t.role.label !== "default") {
-                transitions[label] = { role: t.role.label, x: position.x, y: position.y };
-            } else {
-                transitions[label] = { x: position.x, y: position.y };
+            if (propensity > 0) {
+                enabled.push({ action, propensity, out: res.out });
+                total += propensity;
+            }
+        }
+        if (total === 0) {
+            break; // no transition can fire
+        }
+        const tau = -Math.log(1 - random()) / total;
+        if (time + tau > until) {
+            break;
+        }
+        let pick = random() * total;
+        let next = enabled[enabled.length - 1];
+        for (const e of enabled) {
+            pick -= e.propensity;
+            if (pick < 0) {
+                next = e;
+                break;
             }
         }
-        def.arcs.forEach(a => {
-            let rec = {
-                source: a.source.transition ? a.source.transition.label : a.source.place.label,
-                target: a.target.transition ? a.target.transition.label : a.target.place.label,
-                weight: Math.abs(a.weight)
-            };
-            if (a.inhibit) {
-                rec.inhibit = true;
+        time += tau;
+        current = next.out;
+        trajectory.push({ time, action: next.action, state: current });
+    }
+    return { seed: runSeed, time, trajectory };
+}
+
+/**
+ * pflowODE integrates the continuous approximation of a model under mass-action kinetics
+ * each transition contributes delta * k * Π x[p]^w over its input places,
+ * k is the transition rate (default 1) unless overridden by rates
+ *
+ * guards are hard thresholds: an inhibitor arc of weight w stops the flow once its place holds w or more,
+ * an inverted guard stops the flow while its place holds less than w.
+ * a transition also stops once any of its output places reaches capacity
+ *
+ * integration uses the adaptive Dormand-Prince 5(4) Runge-Kutta method
+ *
+ * @param model - pflowModel
+ * @param state - starting marking, defaults to initialVector()
+ * @param rates - map of transition label to rate constant
+ * @param tmax - end time
+ * @param dt - initial step size
+ * @param abstol - absolute error tolerance
+ * @param reltol - relative error tolerance
+ * @param maxSteps - maximum number of accepted and rejected steps
+ * @returns {{t: number[], u: {}}}
+ */
+function pflowODE(model, options = {}) {
+    const { state, rates = {}, tmax = 10, dt = 0.01, abstol = 1e-6, reltol = 1e-3, maxSteps = 10000 } = options;
+    const cap = model.capacityVector();
+    const labels = [];
+    for (const p of Object.values(model.def.places)) {
+        labels[p.offset] = p.label;
+    }
+    const transitions = Object.values(model.def.transitions).map(t => {
+        const k = rates[t.label] !== undefined ? rates[t.label] : t.rate === undefined ? 1 : t.rate;
+        const thresholds = Object.values(t.guards).map(g => {
+            const offset = g.delta.findIndex(v => v !== 0);
+            return { offset, weight: -g.delta[offset] };
+        });
+        return { k, delta: t.delta, inverted: t.inverted, thresholds };
+    });
+
+    const derivative = x => {
+        const dx = x.map(() => 0);
+        for (const t of transitions) {
+            let flux = t.k;
+            t.delta.forEach((v, i) => {
+                if (v < 0) {
+                    flux *= Math.pow(Math.max(x[i], 0), -v);
+                } else if (v > 0 && cap[i] > 0 && x[i] >= cap[i]) {
+                    flux = 0;
+                }
+            });
+            for (const { offset, weight } of t.thresholds) {
+                if (t.inverted ? x[offset] < weight : x[offset] >= weight) {
+                    flux = 0;
+                }
             }
-            if (a.reentry) {
-                rec = rec.reentry = true;
+            if (flux !== 0) {
+                t.delta.forEach((v, i) => {
+                    dx[i] += v * flux;
+                });
             }
-            arcs.push(rec);
+        }
+        return dx;
+    };
+
+    // Dormand-Prince tableau
+    const a = [
+        [],
+        [1 / 5],
+        [3 / 40, 9 / 40],
+        [44 / 45, -56 / 15, 32 / 9],
+        [19372 / 6561, -25360 / 2187, 64448 / 6561, -212 / 729],
+        [9017 / 3168, -355 / 33, 46732 / 5247, 49 / 176, -5103 / 18656],
+        [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84]
+    ];
+    const b5 = a[6].concat([0]);
+    const b4 = [5179 / 57600, 0, 7571 / 16695, 393 / 640, -92097 / 339200, 187 / 2100, 1 / 40];
+
+    let x = state ? [...state] : model.initialVector();
+    let time = 0;
+    let h = dt;
+    const t = [0];
+    const u = {};
+    labels.forEach((label, i) => {
+        u[label] = [x[i]];
+    });
+
+    for (let step = 0; step < maxSteps && time < tmax; step++) {
+        h = Math.min(h, tmax - time);
+        const k = [];
+        for (let s = 0; s < 7; s++) {
+            const xs = x.map((v, i) => v + h * a[s].reduce((sum, c, j) => sum + c * k[j][i], 0));
+            k.push(derivative(xs));
+        }
+        const high = x.map((v, i) => v + h * b5.reduce((sum, c, j) => sum + c * k[j][i], 0));
+        const low = x.map((v, i) => v + h * b4.reduce((sum, c, j) => sum + c * k[j][i], 0));
+        let err = 0;
+        x.forEach((v, i) => {
+            const scale = abstol + reltol * Math.max(Math.abs(v), Math.abs(high[i]));
+            err += Math.pow((high[i] - low[i]) / scale, 2);
         });
-        return {
-            modelType: def.type,
-            version,
-            places,
-            transitions,
-            arcs
-        };
+        err = x.length > 0 ? Math.sqrt(err / x.length) : 0;
+        if (err <= 1) {
+            time += h;
+            x = high;
+            t.push(time);
+            labels.forEach((label, i) => {
+                u[label].push(x[i]);
+            });
+        }
+        h *= Math.min(5, Math.max(0.2, err === 0 ? 5 : 0.9 * Math.pow(err, -1 / 5)));
     }
-
-    return {
-        def,
-        version,
-        toObject,
-        dsl: { fn, cell, role },
-        capacity: capacityVector(),
-        getSize,
-        getNode,
-        getNearbyNode,
-        index,
-        txFails,
-        guardFails,
-        vectorAdd,
-        emptyVector,
-        initialVector,
-        capacityVector,
-        testFire,
-        fire
-    };
+    return { t, u };
 }
 
 /**
@@ -601,6 +3035,9 @@ function pflow2png({ canvasId, declaration, handler, state: inputState }) {
     const schema = canvasId;
     const domURL = window.URL || window.webkitURL || window;
     const m = pflowModel({ schema, type: PFlowModel.petriNet, declaration });
+    if (needsLayout(m, {})) {
+        m.layout(); // store the drawn positions so clicks find the nodes
+    }
     const s = pflowStream({ models: [m] });
     const { on } = s.dispatcher;
     const size = { width: 1116, height: 600 }; // hardcoded SVG size
@@ -614,7 +3051,12 @@ function pflow2png({ canvasId, declaration, handler, state: inputState }) {
         const n = s.models.get(schema).getNearbyNode(scaled.x, scaled.y);
         if (n && Object.hasOwn(n, 'transition')) {
             const { label: action } = n.transition;
-            s.dispatch({ schema, action, multiple: 1 });
+            s.dispatch({ schema, action, multiple: 1 }).catch(error => {
+                // middleware and sync rules may throw, report it instead of leaving the promise unhandled
+                if (s.dispatcher.fail(s, { action, multiple: 1, error: error.message }) === 0) {
+                    console.error(`${action} failed: ${error.message}`);
+                }
+            });
         }
     });
     if (typeof handler === 'function') {
@@ -627,7 +3069,7 @@ function pflow2png({ canvasId, declaration, handler, state: inputState }) {
         let state = s.state.get(schema);
         let img = new Image();
         const model = s.models.get(schema);
-        let svgBlob = new Blob([pflow2svg(model, { state })], { type: 'image/svg+xml;charset=utf-8' });
+        let svgBlob = new Blob([pflow2svg(model, { state, diff: s.diff })], { type: 'image/svg+xml;charset=utf-8' });
         img.src = domURL.createObjectURL(svgBlob);
         img.onload = function () {
             ctx.clearRect(0, 0, s.canvas.width, s.canvas.height);
@@ -645,31 +3087,74 @@ function pflow2png({ canvasId, declaration, handler, state: inputState }) {
     return s;
 }
 
+// svgTokens draws the marking of one place, a dot for a single token and a count otherwise
+function svgTokens({ p, tokens }) {
+    if (tokens === 0) {
+        return; // don't show zeros
+    }
+    if (tokens === 1) {
+        return `<circle cx="${p.position.x}" cy="${p.position.y}" r="2" fill="black" stroke="black" />`;
+    }
+    if (tokens < 10) {
+        return `<text x="${p.position.x - 4}" y="${p.position.y + 5}">${tokens}</text>`;
+    }
+    if (tokens >= 10) {
+        return `<text  x="${p.position.x - 7}" y="${p.position.y + 5}">${tokens}</text>`;
+    }
+}
+
+// svgTransitionFill colours enabled transitions green and transitions blocked by a guard red
+function svgTransitionFill(model, state, t) {
+    const { ok } = model.testFire({ state, action: t.label, multiple: 1 });
+    const { ok: guardFails } = model.guardFails({ state, action: t.label, multiple: 1 });
+    const hasGuard = Object.keys(t.guards).length > 0;
+    if (ok) {
+        return "#62fa75"; // green
+    } else if (hasGuard && guardFails) {
+        return "#fab5b0"; // red
+    }
+    return "white";
+}
+
+// needsLayout is true when a render asks for a layout or some node has no position
+function needsLayout(model, options) {
+    const positioned = ({ position }) => typeof position.x === 'number' && typeof position.y === 'number';
+    const nodes = [...Object.values(model.def.places), ...Object.values(model.def.transitions)];
+    return !!options.layout || !nodes.every(positioned);
+}
+
+// withLayout calls render while the model is laid out, the stored positions are put back afterwards
+function withLayout(model, options, render) {
+    const nodes = [...Object.values(model.def.places), ...Object.values(model.def.transitions)];
+    const saved = nodes.map(node => node.position);
+    model.layout(typeof options.layout === 'object' ? options.layout : {});
+    try {
+        return render({ ...options, layout: undefined });
+    } finally {
+        nodes.forEach((node, i) => {
+            node.position = saved[i];
+        });
+    }
+}
+
 /**
  * Convert a pflow model to an SVG string
  * works with browser and nodejs
  * @param model
- * @param options
+ * @param options - state: marking to render, diff: output of diffModels to highlight,
+ *                  plain: omit tokens and transition colours,
+ *                  layout: true or model.layout() options to draw a layout instead of the stored positions,
+ *                  applied anyway when positions are missing, the model itself is not changed
  * @returns {string}
  */
 function pflow2svg(model, options = {}) {
+    if (needsLayout(model, options)) {
+        return withLayout(model, options, opts => pflow2svg(model, opts));
+    }
 
     const state = options.state || model.initialVector();
 
-    const tokenTemplate = ({ p, tokens }) => {
-        if (tokens === 0) {
-            return; // don't show zeros
-        }
-        if (tokens === 1) {
-            return `<circle cx="${p.position.x}" cy="${p.position.y}" r="2" fill="black" stroke="black" />`;
-        }
-        if (tokens < 10) {
-            return `<text x="${p.position.x - 4}" y="${p.position.y + 5}">${tokens}</text>`;
-        }
-        if (tokens >= 10) {
-            return `<text  x="${p.position.x - 7}" y="${p.position.y + 5}">${tokens}</text>`;
-        }
-    };
+    const tokenTemplate = ({ p, tokens }) => options.plain ? '' : svgTokens({ p, tokens });
     const arcTemplate = ({
         stroke,
         markerEnd,
@@ -688,7 +3173,7 @@ function pflow2svg(model, options = {}) {
         stroke,
         t
     }) => `<rect width="30" height="30" fill="${fill}" stroke="${stroke}" rx="${4}" x="${t.position.x - 15}" y="${t.position.y - 15}" />` + `<text font-size="smaller" x="${t.position.x - 15}" y="${t.position.y - 20}" >${t.label}</text>`;
-    const placeTemplate = ({ p }) => `<circle cx="${p.position.x}" cy="${p.position.y}" r="16" fill="white" stroke="black"  />` + `${tokenTemplate({
+    const placeTemplate = ({ p, stroke = "black" }) => `<circle cx="${p.position.x}" cy="${p.position.y}" r="16" fill="white" stroke="${stroke}"  />` + `${tokenTemplate({
         p,
         tokens: state[p.offset]
     })}` + `<text font-size="smaller" x="${p.position.x - 18}" y="${p.position.y - 20}" >${p.label}</text>`;
@@ -720,6 +3205,21 @@ function pflow2svg(model, options = {}) {
         return { offsetX, offsetY, x1, y1, x2, y2, midX, midY };
     }
 
+    // diff highlights the output of diffModels(before, model.toObject()), removed nodes are drawn dashed
+    const diffColours = { added: "#2da44e", changed: "#d29922", removed: "#cf222e" };
+    const highlight = {};
+    if (options.diff) {
+        for (const kind of ['places', 'transitions', 'arcs']) {
+            options.diff[kind].added.forEach(({ label }) => highlight[kind + ':' + label] = diffColours.added);
+            options.diff[kind].changed.forEach(({ label }) => highlight[kind + ':' + label] = diffColours.changed);
+        }
+    }
+    const strokeFor = (kind, label) => highlight[kind + ':' + label] || "black";
+    const removedTemplate = ({ kind, label, from }) => (kind === 'places' ?
+        `<circle cx="${from.x}" cy="${from.y}" r="16" fill="none" stroke="${diffColours.removed}" stroke-dasharray="4" />` :
+        `<rect width="30" height="30" fill="none" stroke="${diffColours.removed}" stroke-dasharray="4" rx="4" x="${from.x - 15}" y="${from.y - 15}" />`) +
+        `<text font-size="smaller" fill="${diffColours.removed}" x="${from.x - 15}" y="${from.y - 20}" >${label}</text>`;
+
     const defaultOptions = {
         hash_: '%23',
         hash: '#'
@@ -729,25 +3229,9 @@ function pflow2svg(model, options = {}) {
     const page = model.getSize();
     let transitionTags = '';
     for (const i in transitions) {
-        const { ok } = model.testFire({
-            state, action: transitions[i].label, multiple: 1
-        });
-        const { ok: guardFails } = model.guardFails({
-            state, action: transitions[i].label, multiple: 1
-        });
-
-        const hasGuard = Object.keys(transitions[i].guards).length > 0;
-
-        let fill = "white";
-        if (ok) {
-            fill = "#62fa75"; // green
-        } else if (hasGuard && guardFails) {
-            fill = "#fab5b0"; // red
-        }
-
         transitionTags += transitionTemplate({
-            fill,
-            stroke: "black",
+            fill: options.plain ? "white" : svgTransitionFill(model, state, transitions[i]),
+            stroke: strokeFor('transitions', transitions[i].label),
             t: transitions[i]
         });
     }
@@ -755,9 +3239,13 @@ function pflow2svg(model, options = {}) {
     let placeTags = '';
     for (const i in places) {
         const p = places[i];
-        placeTags += placeTemplate({ p: p });
+        placeTags += placeTemplate({ p: p, stroke: strokeFor('places', p.label) });
         place_index[p.offset] = p;
     }
+    if (options.diff) {
+        options.diff.places.removed.forEach(({ label, from }) => placeTags += removedTemplate({ kind: 'places', label, from }));
+        options.diff.transitions.removed.forEach(({ label, from }) => transitionTags += removedTemplate({ kind: 'transitions', label, from }));
+    }
     const { hash } = options;
     let arcTags = '';
     for (const txn in transitions) {
@@ -773,7 +3261,7 @@ function pflow2svg(model, options = {}) {
                 arcTags += arcTemplate({
                     // return
                     offsetX, offsetY, x1, y1, x2, y2, midX, midY, // pts
-                    stroke: "black",
+                    stroke: strokeFor('arcs', arcKey({ source: txn, target: label, inhibit: true })),
                     markerEnd: `url(${hash}markerInhibit1)`,
                     weight: Math.abs(transitions[txn].guards[label].delta[place.offset])
                 });
@@ -781,7 +3269,7 @@ function pflow2svg(model, options = {}) {
                 arcTags += arcTemplate({
                     // return
                     offsetX, offsetY, x1: x2, y1: y2, x2: x1, y2: y1, midX, midY, // pts
-                    stroke: "black",
+                    stroke: strokeFor('arcs', arcKey({ source: label, target: txn, inhibit: true })),
                     markerEnd: `url(${hash}markerInhibit1)`,
                     weight: Math.abs(transitions[txn].guards[label].delta[place.offset])
                 });
@@ -800,7 +3288,7 @@ function pflow2svg(model, options = {}) {
                 });
                 arcTags += arcTemplate({
                     offsetX, offsetY, x1, y1, x2, y2, midX, midY, // pts
-                    stroke: "black",
+                    stroke: strokeFor('arcs', arcKey({ source: txn, target: place_index[i].label })),
                     markerEnd: `url(${hash}markerArrow1)`,
                     weight: v
                 });
@@ -810,7 +3298,7 @@ function pflow2svg(model, options = {}) {
                 } = getArcPoints({ target: transitions[txn], source: place_index[i] });
                 arcTags += arcTemplate({
                     offsetX, offsetY, x1, y1, x2, y2, midX, midY, // pts
-                    stroke: "black",
+                    stroke: strokeFor('arcs', arcKey({ source: place_index[i].label, target: txn })),
                     markerEnd: `url(${hash}markerArrow1)`,
                     weight: 0 - v
                 });
@@ -826,6 +3314,436 @@ function pflow2svg(model, options = {}) {
     });
 }
 
+/**
+ * pflow2animatedSvg renders a firing sequence as a self-contained SMIL animation
+ * each step highlights the fired transition and moves tokens along its arcs, then shows the new marking
+ *
+ * @param model
+ * @param options - trace: list of actions or { action, multiple }, history: PFlowStream.history entries of this schema,
+ *                  instanceId: instance whose history entries are animated, omit it for the default instance,
+ *                  state: starting marking, defaults to the initial marking of the instance, step: milliseconds per step (default 1000), loop: restart at the end (default true),
+ *                  id: prefix for element ids when several animations share a page, layout: as for pflow2svg
+ * @returns {string}
+ */
+function pflow2animatedSvg(model, options = {}) {
+    if (needsLayout(model, options)) {
+        return withLayout(model, options, opts => pflow2animatedSvg(model, opts)); // frames read node positions
+    }
+    const { transitions, places } = model.def;
+    const step = options.step || 1000;
+    const loop = options.loop !== false;
+    const id = options.id || 'pflow';
+    const clock = `${id}-clock`;
+
+    let trace = options.trace || [];
+    let initial = model.initialVector();
+    if (options.history) {
+        const key = instanceKey(model.def.schema, options.instanceId);
+        const entries = options.history.filter(entry => instanceKey(entry.event.schema, entry.event.instanceId) === key);
+        const created = entries.find(entry => isCreation(entry.event));
+        if (created) {
+            initial = created.event.create;
+        }
+        trace = entries.filter(entry => !isCreation(entry.event)).map(entry => entry.event);
+    }
+    const markings = [options.state || initial];
+    const fired = trace.map((item, i) => {
+        const { action, multiple = 1 } = typeof item === 'string' ? { action: item } : item;
+        if (!transitions[action]) {
+            throw new Error(`trace step ${i} action not found: ${action}`);
+        }
+        const res = model.fire({ state: [...markings[i]], action, multiple });
+        if (!res.ok) {
+            throw new Error(`trace step ${i} cannot fire: ${action}`);
+        }
+        markings.push(res.out);
+        return transitions[action];
+    });
+
+    const total = step * markings.length;
+    const at = ms => `${clock}.begin+${Math.round(ms)}ms`;
+    const show = (begin, dur, freeze) => `<set attributeName="opacity" to="1" begin="${at(begin)}" dur="${Math.round(dur)}ms"${freeze ? ' fill="freeze"' : ''} />`;
+    const placeList = Object.values(places);
+
+    // marking k is shown after the tokens of step k arrive, until the tokens of step k+1 leave
+    let frames = '';
+    markings.forEach((state, k) => {
+        const begin = k === 0 ? 0 : k * step + step / 2;
+        const end = k === markings.length - 1 ? total : (k + 1) * step + step / 2;
+        let tags = '';
+        placeList.forEach(p => {
+            tags += svgTokens({ p, tokens: state[p.offset] }) || '';
+        });
+        Object.values(transitions).forEach(t => {
+            const fill = svgTransitionFill(model, state, t);
+            if (fill !== "white") {
+                tags += `<rect width="30" height="30" fill="${fill}" stroke="black" rx="4" x="${t.position.x - 15}" y="${t.position.y - 15}" />`;
+            }
+        });
+        frames += `<g opacity="0">${show(begin, end - begin, !loop && k === markings.length - 1)}${tags}</g>`;
+    });
+
+    // the fired transition is highlighted while tokens travel in from its inputs and out to its outputs
+    let moves = '';
+    fired.forEach((t, i) => {
+        const start = (i + 1) * step;
+        moves += `<rect width="30" height="30" fill="#ffd33d" stroke="black" rx="4" x="${t.position.x - 15}" y="${t.position.y - 15}" opacity="0">${show(start, step / 2)}</rect>`;
+        placeList.forEach(p => {
+            const delta = t.delta[p.offset];
+            if (!delta) {
+                return;
+            }
+            const [from, to, begin] = delta < 0 ? [p, t, start] : [t, p, start + step / 4];
+            moves += `<circle r="3" fill="black" opacity="0">${show(begin, step / 4)}` +
+                `<animateMotion path="M${from.position.x},${from.position.y} L${to.position.x},${to.position.y}" begin="${at(begin)}" dur="${Math.round(step / 4)}ms" /></circle>`;
+        });
+    });
+
+    const timer = `<rect width="0" height="0" opacity="0"><animate id="${clock}" attributeName="x" from="0" to="0" dur="${total}ms" begin="${loop ? `0s;${clock}.end` : '0s'}" /></rect>`;
+    return pflow2svg(model, { plain: true }).replace(/<\/svg>$/, `${timer}${frames}${moves}</svg>`);
+}
+
+/**
+ * Convert a pflow model to Graphviz DOT
+ * transitions are filled using the same testFire colouring as pflow2svg
+ * @param model
+ * @param options - state: marking to render, autoLayout: ignore stored positions and let graphviz place nodes
+ * @returns {string}
+ */
+function pflow2dot(model, options = {}) {
+    const state = options.state || model.initialVector();
+    const { transitions, places, arcs } = model.def;
+    const quote = str => '"' + String(str).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n') + '"';
+    const nodeId = node => node.place ? quote('p:' + node.place.label) : quote('t:' + node.transition.label);
+    const pos = ({ x, y }) => {
+        if (options.autoLayout || x === undefined || y === undefined) {
+            return '';
+        }
+        return `, pos="${x},${-y}!"`; // graphviz y axis points up
+    };
+
+    let out = `digraph ${quote(model.def.schema)} {\n`;
+    out += options.autoLayout ? `  rankdir=LR;\n` : `  layout=neato;\n  inputscale=72;\n`;
+    out += `  node [fontname="sans-serif"];\n`;
+    for (const label in places) {
+        const p = places[label];
+        out += `  ${nodeId({ place: p })} [shape=circle, label=${quote(label + '\n' + state[p.offset])}${pos(p.position)}];\n`;
+    }
+    for (const label in transitions) {
+        const t = transitions[label];
+        const fill = svgTransitionFill(model, state, t);
+        out += `  ${nodeId({ transition: t })} [shape=box, style=filled, fillcolor="${fill}", label=${quote(label)}${pos(t.position)}];\n`;
+    }
+    for (const a of arcs) {
+        const head = a.inhibit ? ', arrowhead=odot' : '';
+        out += `  ${nodeId(a.source)} -> ${nodeId(a.target)} [label="${Math.abs(a.weight)}"${head}];\n`;
+    }
+    out += `}\n`;
+    return out;
+}
+
+const pnmlNamespace = 'http://www.pnml.org/version-2009/grammar/pnml';
+const pnmlPtNet = 'http://www.pnml.org/version-2009/grammar/ptnet';
+
+function escapeXml(str) {
+    return String(str)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function unescapeXml(str) {
+    return str
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&#(\d+);/g, (_, n) => String.fromCharCode(Number(n)))
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * parseXml is a minimal xml reader, good enough for pnml documents
+ * @param xml - source
+ * @returns {{name: string, attrs: {}, children: [], text: string}} root element
+ */
+function parseXml(xml) {
+    const root = { name: '#document', attrs: {}, children: [], text: '' };
+    const stack = [root];
+    const tag = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<(\/?)([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+    let match;
+    while ((match = tag.exec(xml)) !== null) {
+        const [, cdata, closing, name, attrSource, selfClosing, text] = match;
+        const current = stack[stack.length - 1];
+        if (cdata !== undefined) {
+            current.text += cdata;
+        } else if (text !== undefined) {
+            current.text += unescapeXml(text);
+        } else if (name && closing) {
+            if (current.name !== name) {
+                throw new Error("invalid xml: unexpected </" + name + ">");
+            }
+            stack.pop();
+        } else if (name) {
+            const attrs = {};
+            const attr = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+            let a;
+            while ((a = attr.exec(attrSource)) !== null) {
+                attrs[a[1]] = unescapeXml(a[2] !== undefined ? a[2] : a[3]);
+            }
+            const el = { name, attrs, children: [], text: '' };
+            current.children.push(el);
+            if (!selfClosing) {
+                stack.push(el);
+            }
+        }
+    }
+    if (stack.length !== 1) {
+        throw new Error("invalid xml: unclosed <" + stack[stack.length - 1].name + ">");
+    }
+    return root;
+}
+
+/**
+ * pflow2pnml converts a place/transition model to ISO/IEC 15909-2 PNML
+ * capacities, roles and inhibitor arcs are stored in a pflow toolspecific extension
+ * @param model - pflowModel
+ * @returns {string}
+ */
+function pflow2pnml(model) {
+    const { places, transitions, arcs } = model.toObject();
+    const tool = body => `<toolspecific tool="pflow" version="${version}">${body}</toolspecific>`;
+    const name = label => `<name><text>${escapeXml(label)}</text></name>`;
+    const graphics = ({ x, y }) => x === undefined || y === undefined
+        ? ''
+        : `<graphics><position x="${x}" y="${y}"/></graphics>`;
+
+    let out = `<?xml version="1.0" encoding="UTF-8"?>\n<pnml xmlns="${pnmlNamespace}">\n`;
+    out += `<net id="${escapeXml(model.def.schema)}" type="${pnmlPtNet}">\n`;
+    out += `${name(model.def.schema)}\n<page id="page0">\n`;
+    Object.entries(places).sort(([, a], [, b]) => a.offset - b.offset).forEach(([label, p]) => {
+        const initial = Array.isArray(p.initial) ? p.initial.length : p.initial;
+        out += `<place id="${escapeXml(label)}">${name(label)}${graphics(p)}`;
+        if (initial) {
+            out += `<initialMarking><text>${initial}</text></initialMarking>`;
+        }
+        if (p.capacity) {
+            out += tool(`<capacity>${p.capacity}</capacity>`);
+        }
+        out += `</place>\n`;
+    });
+    Object.entries(transitions).forEach(([label, t]) => {
+        out += `<transition id="${escapeXml(label)}">${name(label)}${graphics(t)}`;
+        if (t.role) {
+            out += tool(`<role>${escapeXml(t.role)}</role>`);
+        }
+        out += `</transition>\n`;
+    });
+    arcs.forEach((a, i) => {
+        out += `<arc id="arc${i}" source="${escapeXml(a.source)}" target="${escapeXml(a.target)}">`;
+        out += `<inscription><text>${a.weight}</text></inscription>`;
+        if (a.inhibit) {
+            out += tool(`<inhibitor/>`);
+        }
+        out += `</arc>\n`;
+    });
+    out += `</page>\n</net>\n</pnml>\n`;
+    return out;
+}
+
+/**
+ * pnml2pflow converts a PNML place/transition net into a pflow declaration object
+ * all pages of the first net are flattened into one model.
+ * inhibitor arcs are read from the pflow toolspecific extension or a <type value="inhibitor"/> element
+ * nodes are labelled by name, a node whose name is already in use is labelled by its id
+ *
+ * @param xml - PNML document
+ * @returns {{modelType: string, version: string, places: {}, transitions: {}, arcs: []}}
+ */
+function pnml2pflow(xml) {
+    const doc = parseXml(xml);
+    const child = (el, name) => el && el.children.find(c => c.name === name);
+    const text = (el, ...path) => {
+        let node = el;
+        for (const name of path) {
+            node = child(node, name);
+        }
+        return node ? node.text.trim() : undefined;
+    };
+    const pflowTool = el => el.children.find(c => c.name === 'toolspecific' && c.attrs.tool === 'pflow');
+    // count reads a token count or weight, other text is rejected rather than imported as NaN or 0
+    const count = (el, field, value, fallback) => {
+        if (!value) {
+            return fallback;
+        }
+        const n = Number(value);
+        if (!Number.isInteger(n) || n < 0) {
+            throw new Error(`invalid pnml ${el.name} ${el.attrs.id}: ${field} is not a count: ${value}`);
+        }
+        return n;
+    };
+    const position = el => {
+        const pos = child(child(el, 'graphics'), 'position');
+        return pos ? { x: Number(pos.attrs.x), y: Number(pos.attrs.y) } : {};
+    };
+
+    const pnml = child(doc, 'pnml');
+    const net = child(pnml, 'net');
+    if (!net) {
+        throw new Error("invalid pnml: missing net");
+    }
+    const elements = [];
+    const collect = el => {
+        el.children.forEach(c => {
+            if (c.name === 'page') {
+                collect(c);
+            } else {
+                elements.push(c);
+            }
+        });
+    };
+    collect(net);
+
+    const labels = {};
+    const obj = { modelType: PFlowModel.petriNet, version, places: {}, transitions: {}, arcs: [] };
+    // PNML names need not be unique, a name that is already taken falls back to the node id
+    const taken = new Set();
+    const nodeLabel = el => {
+        const name = text(el, 'name', 'text');
+        let label = name && !taken.has(name) ? name : el.attrs.id;
+        for (let n = 2; taken.has(label); n++) {
+            label = `${el.attrs.id}_${n}`;
+        }
+        taken.add(label);
+        labels[el.attrs.id] = label;
+        return label;
+    };
+    elements.filter(el => el.name === 'place').forEach((el, offset) => {
+        const label = nodeLabel(el);
+        const place = { offset, ...position(el) };
+        const initial = count(el, 'initialMarking', text(el, 'initialMarking', 'text'), 0);
+        if (initial) {
+            place.initial = initial;
+        }
+        const capacity = count(el, 'capacity', text(pflowTool(el) || { children: [] }, 'capacity'), 0);
+        if (capacity) {
+            place.capacity = capacity;
+        }
+        obj.places[label] = place;
+    });
+    elements.filter(el => el.name === 'transition').forEach(el => {
+        const label = nodeLabel(el);
+        const transition = position(el);
+        const role = text(pflowTool(el) || { children: [] }, 'role');
+        if (role) {
+            transition.role = role;
+        }
+        obj.transitions[label] = transition;
+    });
+    elements.filter(el => el.name === 'arc').forEach(el => {
+        const { source, target } = el.attrs;
+        if (!(source in labels) || !(target in labels)) {
+            throw new Error("invalid pnml arc: " + el.attrs.id);
+        }
+        const arc = { source: labels[source], target: labels[target], weight: count(el, 'inscription', text(el, 'inscription', 'text'), 1) };
+        const tool = pflowTool(el);
+        const type = child(el, 'type');
+        if ((tool && child(tool, 'inhibitor')) || (type && type.attrs.value === 'inhibitor')) {
+            arc.inhibit = true;
+        }
+        obj.arcs.push(arc);
+    });
+    return obj;
+}
+
+const reservedWords = new Set(('break case catch class const continue debugger default delete do else export extends ' +
+    'false finally for function if import in instanceof let new null return super switch this throw true try typeof ' +
+    'var void while with yield await enum implements interface package private protected public static arguments eval ' +
+    'fn cell role pos declaration').split(' '));
+
+/**
+ * pflow2source converts a declaration object into DSL source for the code sandbox
+ * positions on the grid are written with a pos(x, y) helper, other positions are written as-is
+ *
+ * @param obj - declaration object as produced by toObject()
+ * @param options - grid: spacing in pixels used to detect grid positions, defaults to 60
+ * @returns {string} source of `function declaration({fn, cell, role})`
+ */
+function pflow2source(obj, options = {}) {
+    const grid = options.grid || 60;
+    const used = new Set();
+    const names = {};
+
+    // identifier turns a label into a unique variable name
+    const identifier = label => {
+        let name = String(label).replace(/[^\w$]/g, '_');
+        if (/^\d/.test(name) || reservedWords.has(name)) {
+            name = '_' + name;
+        }
+        let unique = name;
+        for (let n = 2; used.has(unique); n++) {
+            unique = name + n;
+        }
+        used.add(unique);
+        return unique;
+    };
+    const onGrid = ({ x, y }) => x % grid === 0 && y % grid === 0;
+    const nodes = [...Object.values(obj.places), ...Object.values(obj.transitions)];
+    const usePos = nodes.some(onGrid);
+    const position = node => usePos && onGrid(node) ? `pos(${node.x / grid}, ${node.y / grid})` : `{x: ${node.x}, y: ${node.y}}`;
+    const str = JSON.stringify;
+
+    const lines = [];
+    if (usePos) {
+        lines.push(`const pos = (x, y) => ({x: x * ${grid}, y: y * ${grid}});`);
+    }
+    const roles = {};
+    for (const label in obj.transitions) {
+        const role = obj.transitions[label].role || 'default';
+        if (!roles[role]) {
+            roles[role] = identifier(role === 'default' ? 'r' : role);
+            lines.push(`const ${roles[role]} = role(${str(role)});`);
+        }
+    }
+    const places = Object.keys(obj.places).map((label, i) => ({ label, i, ...obj.places[label] }));
+    places.sort((a, b) => (a.offset !== undefined ? a.offset : a.i) - (b.offset !== undefined ? b.offset : b.i));
+    places.forEach(p => {
+        names[p.label] = identifier(p.label);
+        const args = [str(p.label), str(p.initial || 0), p.capacity || 0, position(p)];
+        if (p.colour) {
+            args.push(str(p.colour));
+        }
+        lines.push(`const ${names[p.label]} = cell(${args.join(', ')});`);
+    });
+    for (const label in obj.transitions) {
+        const t = obj.transitions[label];
+        names[label] = identifier(label);
+        const args = [str(label), roles[t.role || 'default'], position(t)];
+        const attrs = ['rate', 'delay', 'guard'].filter(key => t[key] !== undefined).map(key => `${key}: ${str(t[key])}`);
+        if (attrs.length > 0) {
+            args.push(`{${attrs.join(', ')}}`);
+        }
+        lines.push(`const ${names[label]} = fn(${args.join(', ')});`);
+    }
+    obj.arcs.forEach(arc => {
+        const args = [arc.weight || 1, names[arc.target]];
+        if (arc.bind !== undefined) {
+            args.push(str(arc.bind));
+        } else if (arc.expr !== undefined) {
+            args.push(str(arc.expr));
+        }
+        lines.push(`${names[arc.source]}.${arc.inhibit ? 'guard' : 'tx'}(${args.join(', ')});`);
+    });
+
+    let source = `function declaration({fn, cell, role}) {\n${lines.map(line => '    ' + line).join('\n')}\n}`;
+    if (obj.coloured) {
+        source += '\ndeclaration.coloured = true;';
+    }
+    return source;
+}
+
 const defaultPflowSandboxOptions = {
     marginX: 0,
     marginY: 0,
@@ -860,7 +3778,7 @@ function pflowSandbox(options = defaultPflowSandboxOptions) {
     }, options);
 }
 
-const pflowEvalModelSource = options => `;;;pflowModel({ schema: '${options.canvasId}', declaration, type: PFlowModel.petriNet })`;
+const pflowEvalModelSource = options => `;;;pflowModel({ schema: '${options.canvasId}', declaration, type: PFlowModel.petriNet, evalStrings: true })`;
 
 function pflowTermDSL(editor, options) {
 
@@ -911,6 +3829,54 @@ function pflowSandboxFactory(handler, options = defaultPflowSandboxOptions) {
         editor.setValue(source);
     };
 
+    // step-back and step-forward commands for the terminal
+    const back = () => s.undo();
+    const forward = () => s.redo();
+
+    // validate checks a declaration object, by default the declaration in the editor
+    const validate = obj => {
+        let declaration = obj;
+        if (declaration === undefined) {
+            declaration = eval(editor.getValue() + ';;;declaration');
+        }
+        if (typeof declaration === 'function') {
+            declaration = readModel().toObject();
+        }
+        const { ok, errors, warnings } = pflowValidateDeclaration(declaration);
+        const line = rec => $.terminal.escape_brackets(`${rec.path}: ${rec.message}`);
+        errors.forEach(e => terminal.echo(`[[;red;]${line(e)}]`));
+        warnings.forEach(w => terminal.echo(`[[;orange;]${line(w)}]`));
+        return ok ? 'valid' : undefined;
+    };
+
+    // convert replaces a declaration object in the editor with DSL source
+    const convert = () => {
+        writeModel(pflow2source(readModel().toObject()));
+        editor.clearSelection();
+    };
+
+    // diff highlights changes from a base declaration object on the canvas, call diff() to clear
+    const diff = base => {
+        const model = s.dispatcher.getModel(options.canvasId);
+        s.diff = base ? diffModels(base, model.toObject()) : undefined;
+        s.dispatcher.reload(options.canvasId);
+        if (!s.diff) {
+            return;
+        }
+        const colours = { added: 'green', removed: 'red', changed: 'orange' };
+        const signs = { added: '+', removed: '-', changed: '~' };
+        for (const kind of ['places', 'transitions', 'arcs']) {
+            for (const change of ['added', 'removed', 'changed']) {
+                s.diff[kind][change].forEach(rec => {
+                    const fields = rec.changes ? ' ' + JSON.stringify(rec.changes) : '';
+                    const line = $.terminal.escape_brackets(`${signs[change]} ${kind} ${rec.label}${fields}`);
+                    terminal.echo(`[[;${colours[change]};]${line}]`);
+                });
+            }
+        }
+        return s.diff.equal ? 'no changes' : undefined;
+    };
+
     const terminal = $('#term').terminal(command => {
         if (command !== '') {
             try {
@@ -968,6 +3934,12 @@ function pflowSandboxFactory(handler, options = defaultPflowSandboxOptions) {
         update: s.dispatcher.update,
         reload: s.dispatcher.reload,
         restart: s.restart,
+        undo: s.undo,
+        redo: s.redo,
+        goto: s.goto,
+        diff,
+        validate,
+        convert,
         writeModel: writeModel,
         readModel: readModel,
         terminal: terminal,
@@ -1061,12 +4033,23 @@ const supportedDeclarations = {
     }
 };
 
-function pflowUnzip(data) {
-    return JSZip.loadAsync(data, { base64: true }).then(zip => {
+// loadJSZip uses the JSZip global in the browser and the jszip package in nodejs
+function loadJSZip() {
+    return typeof JSZip !== 'undefined' ? JSZip : require('jszip');
+}
+
+/**
+ * pflowUnzip reads a share-link payload
+ * @param data - base64 zip holding model.json or declaration.js
+ * @param raw - return the file as stored instead of sandbox source
+ * @returns {Promise<string>}
+ */
+function pflowUnzip(data, { raw } = {}) {
+    return loadJSZip().loadAsync(data, { base64: true }).then(zip => {
         for (const name in supportedDeclarations) {
             if (zip.files[name]) {
                 return zip.file(name).async("string").then(source => {
-                    return supportedDeclarations[name].handler(source);
+                    return raw ? source : supportedDeclarations[name].handler(source);
                 });
             }
         }
@@ -1081,7 +4064,7 @@ function downloadZippedSource(source) {
 
 // requires JSZip
 function pflowZip(source, filename = 'declaration.js') {
-    if (window !== undefined) {
+    if (typeof window !== 'undefined') {
         // ideal is to stay within one standard IPFS chunk
         const kbSize = new TextEncoder().encode(source).length / 1024;
         if (kbSize > 256) {
@@ -1090,7 +4073,7 @@ function pflowZip(source, filename = 'declaration.js') {
             return;
         }
     }
-    const zip = new JSZip();
+    const zip = new (loadJSZip())();
     switch (filename) {
         case 'model.json':
         case 'declaration.js':
@@ -1163,6 +4146,8 @@ function pflowToggleOption(id) {
 async function runPflowSandbox() {
     const s = pflowSandbox();
     $('#simulate').on('click', evt => pflowToolbarHandler(s, evt));
+    $('#back').on('click', evt => pflowToolbarHandler(s, evt));
+    $('#forward').on('click', evt => pflowToolbarHandler(s, evt));
     $('#download').on('click', evt => pflowToolbarHandler(s, evt));
     $('#embed').on('click', evt => pflowToolbarHandler(s, evt));
     $.urlParam = function (name) {
@@ -1217,6 +4202,26 @@ const pflowToolbar = `<table id="heading">
        Simulate</button>
        <span class="tooltiptext">{Ctl+Enter} to run model</span>
    </div>
+   <div class="tooltip">
+       <button id="back" class="btn">
+           <svg width="12" height="14">
+           <g transform="translate(-2,0) scale(.7,.7)">
+           <path d="M6 6h2v12H6zm3.5 6 8.5 6V6z"></path>
+           </g>
+           </svg>
+       Back</button>
+       <span class="tooltiptext">undo last transition</span>
+   </div>
+   <div class="tooltip">
+       <button id="forward" class="btn">
+           <svg width="12" height="14">
+           <g transform="translate(-2,0) scale(.7,.7)">
+           <path d="m6 18 8.5-6L6 6v12zM16 6v12h2V6h-2z"></path>
+           </g>
+           </svg>
+       Forward</button>
+       <span class="tooltiptext">redo undone transition</span>
+   </div>
   <div class="tooltip">
    <button id="download" class="btn">
        <svg width="12" height="14">
@@ -1270,6 +4275,20 @@ async function pflowToolbarHandler(s, evt) {
             s.reload(s.schema);
             s.echo("restarted." + Date.now());
             break;
+        case 'back':
+            if (s.undo()) {
+                s.echo("undo." + Date.now());
+            } else {
+                s.error("nothing to undo");
+            }
+            break;
+        case 'forward':
+            if (s.redo()) {
+                s.echo("redo." + Date.now());
+            } else {
+                s.error("nothing to redo");
+            }
+            break;
         case 'download':
             s.echo("download." + Date.now());
             return downloadZippedSource(s.getValue());
@@ -1349,12 +4368,29 @@ if (typeof module !== 'undefined') {
         ModelType: PFlowModel,
         newSandbox: pflowSandbox,
         newStream: pflowStream,
+        memoryStore: pflowMemoryStore,
+        fileStore: pflowFileStore,
         newModel: pflowModel,
+        compose: pflowCompose,
+        validateDeclaration: pflowValidateDeclaration,
+        diffModels,
+        mergeModels,
+        coverability: pflowCoverability,
+        invariants: pflowInvariants,
+        liveness: pflowLiveness,
+        soundness: pflowSoundness,
+        stochastic: pflowStochastic,
+        ode: pflowODE,
         unzip: pflowUnzip,
         zip: pflowZip,
         pflow2html,
         pflow2png,
         pflow2svg,
+        pflow2animatedSvg,
+        pflow2dot,
+        pflow2pnml,
+        pnml2pflow,
+        pflow2source,
         modelSource: { func: defaultCodeSample, obj: defaultObjectSample }
     };
 }
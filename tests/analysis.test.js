@@ -0,0 +1,195 @@
+import { newModel, coverability, invariants, liveness } from "../src/pflow.js"
+
+// single token moving around a two-place cycle
+const cycle = ({fn, cell, role}) => {
+    const r = role("default");
+    const p1 = cell('p1', 1, 0, {x: 60, y: 60});
+    const p2 = cell('p2', 0, 0, {x: 180, y: 60});
+    const t1 = fn('t1', r, {x: 120, y: 30});
+    const t2 = fn('t2', r, {x: 120, y: 90});
+    p1.tx(1, t1);
+    t1.tx(1, p2);
+    p2.tx(1, t2);
+    t2.tx(1, p1);
+};
+
+describe("reachability", () => {
+
+    it("should explore every reachable marking", () => {
+        const m = newModel({ schema: "cycle", declaration: cycle });
+        const { states, edges, complete } = m.reachability();
+        expect(complete).toBeTruthy();
+        expect(states.map(s => s.state)).toEqual([[1, 0], [0, 1]]);
+        expect(edges).toEqual([
+            { source: 0, target: 1, action: 't1' },
+            { source: 1, target: 0, action: 't2' }
+        ]);
+        expect(states[1].trace).toEqual(['t1']);
+    });
+
+    it("should stop at the state limit", () => {
+        const m = newModel({
+            schema: "counter",
+            declaration: ({fn, cell, role}) => {
+                const p = cell('p', 0, 0, {x: 60, y: 60});
+                fn('inc', role("default"), {x: 120, y: 60}).tx(1, p);
+            }
+        });
+        const { states, complete } = m.reachability({ limit: 5 });
+        expect(complete).toBeFalsy();
+        expect(states.length).toEqual(5);
+        expect(states[4].trace).toEqual(['inc', 'inc', 'inc', 'inc']);
+    });
+
+});
+
+describe("coverability", () => {
+
+    const producer = capacity => ({fn, cell, role}) => {
+        const r = role("default");
+        const idle = cell('idle', 1, 0, {x: 60, y: 60});
+        const busy = cell('busy', 0, 0, {x: 180, y: 60});
+        const out = cell('out', 0, capacity, {x: 300, y: 60});
+        const start = fn('start', r, {x: 120, y: 60});
+        const finish = fn('finish', r, {x: 240, y: 60});
+        idle.tx(1, start);
+        start.tx(1, busy);
+        busy.tx(1, finish);
+        finish.tx(1, idle);
+        finish.tx(1, out);
+    };
+
+    it("should find unbounded places and the sequence that pumps them", () => {
+        const m = newModel({ schema: "producer", declaration: producer(0) });
+        const { unbounded, bounds, bounded, complete } = coverability(m);
+        expect(complete).toBeTruthy();
+        expect(bounded).toBeFalsy();
+        expect(unbounded.map(u => u.label)).toEqual(['out']);
+        expect(unbounded[0].trace).toEqual(['start', 'finish']);
+        expect(unbounded[0].pump).toEqual(['start', 'finish']);
+        expect(bounds).toEqual({ idle: 1, busy: 1, out: Infinity });
+    });
+
+    it("should respect place capacity", () => {
+        const m = newModel({ schema: "producer", declaration: producer(2) });
+        const { bounded, bounds } = coverability(m);
+        expect(bounded).toBeTruthy();
+        expect(bounds).toEqual({ idle: 1, busy: 1, out: 2 });
+    });
+
+    it("should report a bounded net", () => {
+        const m = newModel({ schema: "cycle", declaration: cycle });
+        const { bounded, bounds } = coverability(m);
+        expect(bounded).toBeTruthy();
+        expect(bounds).toEqual({ p1: 1, p2: 1 });
+    });
+
+});
+
+describe("invariants", () => {
+
+    // two processes sharing a lock
+    const mutex = ({fn, cell, role}) => {
+        const r = role("default");
+        const lock = cell('lock', 1, 0, {x: 180, y: 60});
+        for (const n of [1, 2]) {
+            const idle = cell('idle' + n, 1, 0, {x: 60, y: 60 * n});
+            const busy = cell('busy' + n, 0, 0, {x: 300, y: 60 * n});
+            const enter = fn('enter' + n, r, {x: 120, y: 60 * n});
+            const exit = fn('exit' + n, r, {x: 240, y: 60 * n});
+            idle.tx(1, enter);
+            lock.tx(1, enter);
+            enter.tx(1, busy);
+            busy.tx(1, exit);
+            exit.tx(1, idle);
+            exit.tx(1, lock);
+        }
+    };
+
+    it("should expose the incidence matrix", () => {
+        const m = newModel({ schema: "cycle", declaration: cycle });
+        expect(m.incidenceMatrix()).toEqual({
+            places: ['p1', 'p2'],
+            transitions: ['t1', 't2'],
+            matrix: [[-1, 1], [1, -1]]
+        });
+    });
+
+    it("should compute place and transition invariants", () => {
+        const m = newModel({ schema: "mutex", declaration: mutex });
+        const { places, transitions } = invariants(m);
+        expect(places).toEqual(expect.arrayContaining([
+            { weights: { idle1: 1, busy1: 1 }, support: ['idle1', 'busy1'], total: 1 },
+            { weights: { idle2: 1, busy2: 1 }, support: ['idle2', 'busy2'], total: 1 },
+            { weights: { lock: 1, busy1: 1, busy2: 1 }, support: ['lock', 'busy1', 'busy2'], total: 1 }
+        ]));
+        expect(places.length).toEqual(3);
+        expect(transitions.map(t => t.weights)).toEqual([
+            { enter1: 1, exit1: 1 },
+            { enter2: 1, exit2: 1 }
+        ]);
+    });
+
+});
+
+describe("liveness", () => {
+
+    it("should classify a live cycle", () => {
+        const m = newModel({ schema: "cycle", declaration: cycle });
+        const { deadMarkings, deadTransitions, transitions } = liveness(m);
+        expect(deadMarkings).toEqual([]);
+        expect(deadTransitions).toEqual([]);
+        expect(transitions).toEqual({
+            t1: { level: 4, trace: ['t1'] },
+            t2: { level: 4, trace: ['t1', 't2'] }
+        });
+    });
+
+    it("should report deadlocks and dead transitions", () => {
+        const m = newModel({
+            schema: "choice",
+            declaration: ({fn, cell, role}) => {
+                const r = role("default");
+                const start = cell('start', 1, 0, {x: 60, y: 60});
+                const loop = cell('loop', 0, 0, {x: 180, y: 60});
+                const end = cell('end', 0, 0, {x: 180, y: 180});
+                const never = cell('never', 0, 0, {x: 300, y: 180});
+                const back = cell('back', 0, 0, {x: 300, y: 60});
+                const spin = fn('spin', r, {x: 120, y: 60});
+                const stop = fn('stop', r, {x: 120, y: 180});
+                const again = fn('again', r, {x: 240, y: 60});
+                const stuck = fn('stuck', r, {x: 240, y: 180});
+                start.tx(1, spin);
+                spin.tx(1, loop);
+                const turn = fn('turn', r, {x: 240, y: 120});
+                loop.tx(1, again);
+                again.tx(1, back);
+                back.tx(1, turn);
+                turn.tx(1, loop);
+                start.tx(1, stop);
+                stop.tx(1, end);
+                never.tx(1, stuck);
+            }
+        });
+        const { deadMarkings, deadTransitions, transitions } = liveness(m);
+        expect(deadMarkings).toEqual([{ state: [0, 0, 1, 0, 0], trace: ['stop'] }]);
+        expect(deadTransitions).toEqual(['stuck']);
+        expect(transitions.spin).toEqual({ level: 1, trace: ['spin'] });
+        expect(transitions.again).toEqual({ level: 3, trace: ['spin', 'again'] });
+        expect(transitions.stuck).toEqual({ level: 0, trace: null });
+    });
+
+    it("should not report unexplored markings as deadlocks", () => {
+        const m = newModel({
+            schema: "counter",
+            declaration: ({fn, cell, role}) => {
+                const p = cell('p', 0, 0, {x: 60, y: 60});
+                fn('inc', role("default"), {x: 120, y: 60}).tx(1, p);
+            }
+        });
+        const { complete, deadMarkings } = liveness(m, { limit: 3 });
+        expect(complete).toBeFalsy();
+        expect(deadMarkings).toEqual([]);
+    });
+
+});
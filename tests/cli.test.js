@@ -0,0 +1,79 @@
+import { spawnSync } from "child_process"
+import { mkdtempSync, writeFileSync } from "fs"
+import { tmpdir } from "os"
+import { join } from "path"
+
+const dir = mkdtempSync(join(tmpdir(), "pflow-cli-"));
+const pflow = (...args) => spawnSync("node", [join(__dirname, "../bin/pflow.js"), ...args], { encoding: "utf8", timeout: 10000 });
+
+const modelJson = join(dir, "model.json");
+writeFileSync(modelJson, JSON.stringify({
+    modelType: "petriNet",
+    version: "v0",
+    places: { foo: { offset: 0, x: 180, y: 180, initial: 1, capacity: 3 } },
+    transitions: { add: { x: 120, y: 120 }, sub: { x: 240, y: 120 } },
+    arcs: [
+        { source: "add", target: "foo", weight: 1 },
+        { source: "foo", target: "sub", weight: 1 }
+    ]
+}));
+
+const declarationJs = join(dir, "declaration.js");
+writeFileSync(declarationJs, `function declaration({fn, cell, role}) {
+    const r = role("default");
+    const foo = cell("foo", 0, 0, {x: 60, y: 60});
+    fn("add", r, {x: 120, y: 60}).tx(1, foo);
+}`);
+
+describe("pflow cli", () => {
+
+    it("should validate models", () => {
+        expect(pflow("validate", modelJson).stdout).toEqual(`${modelJson}: ok\n`);
+        expect(pflow("validate", declarationJs).status).toEqual(0);
+
+        const broken = join(dir, "broken.json");
+        writeFileSync(broken, JSON.stringify({ version: "v0", places: {}, transitions: {}, arcs: [{ source: "a", target: "b" }] }));
+        const res = pflow("validate", broken);
+        expect(res.status).toEqual(1);
+        expect(res.stderr).toContain("error $.arcs[0].source: unknown node: a");
+    });
+
+    it("should fire a sequence of actions", () => {
+        expect(pflow("fire", modelJson, "add", "add", "sub").stdout).toEqual('{"foo":2}\n');
+        expect(pflow("fire", declarationJs, "add", "--state", "4").stdout).toEqual('{"foo":5}\n');
+        const res = pflow("fire", modelJson, "sub", "sub");
+        expect(res.status).toEqual(1);
+        expect(res.stderr).toEqual('cannot fire sub at {"foo":0}\n');
+    });
+
+    it("should provide the sandbox pos helper to declarations", () => {
+        const gridJs = join(dir, "grid.js");
+        writeFileSync(gridJs, `function declaration({fn, cell, role}) {
+    const r = role("default");
+    const foo = cell("foo", 0, 0, pos(2, 3));
+    fn("add", r, pos(3, 3)).tx(1, foo);
+}`);
+        expect(pflow("fire", gridJs, "add").stdout).toEqual('{"foo":1}\n');
+        expect(pflow("svg", gridJs).stdout).toContain('<circle cx="120" cy="180" r="16"');
+    });
+
+    it("should render svg and html", () => {
+        expect(pflow("svg", modelJson, "--state", "2").stdout).toContain('<text x="176" y="185">2</text>');
+        expect(pflow("svg", modelJson, "--trace", "add,sub", "--step", "500").stdout).toContain('dur="1500ms"');
+        const out = join(dir, "index.html");
+        expect(pflow("html", modelJson, "--baseurl", ".", "-o", out).status).toEqual(0);
+        expect(pflow("html", "--sample", "nope").stderr).toEqual("pflow: unknown sample: nope\n");
+    });
+
+    it("should round-trip share-link payloads", () => {
+        const payload = pflow("zip", declarationJs).stdout.trim();
+        expect(pflow("unzip", payload).stdout).toContain('cell("foo", 0, 0, {x: 60, y: 60})');
+    });
+
+    it("should print usage for unknown commands", () => {
+        const res = pflow("nope");
+        expect(res.status).toEqual(2);
+        expect(res.stdout).toContain("usage: pflow <command>");
+    });
+
+});
@@ -0,0 +1,83 @@
+import { newModel } from "../src/pflow.js"
+
+// orders carry ids and amounts, only positive amounts are approved
+const orders = ({fn, cell, role}) => {
+    const r = role("default");
+    const received = cell('received', [{ id: 1, amount: 50 }, { id: 2, amount: 0 }], 0, {x: 60, y: 60}, 'object');
+    const approved = cell('approved', 0, 0, {x: 180, y: 60}, 'object');
+    const paid = cell('paid', [2, 1], 0, {x: 180, y: 180}, 'number');
+    const shipped = cell('shipped', 0, 0, {x: 300, y: 120}, 'number');
+    const approve = fn('approve', r, {x: 120, y: 60}, { guard: ({ order }) => order.amount > 0 });
+    const ship = fn('ship', r, {x: 240, y: 120}, { guard: 'order.id === id' });
+    received.tx(1, approve, 'order');
+    approve.tx(1, approved, 'order');
+    approved.tx(1, ship, 'order');
+    paid.tx(1, ship, 'id');
+    ship.tx(1, shipped, 'id');
+};
+
+describe("coloured", () => {
+
+    it("should require coloured mode", () => {
+        const m = newModel({ schema: 'orders', declaration: orders });
+        expect(() => m.initialMarking()).not.toThrow();
+        expect(() => m.bindings({ marking: m.initialMarking(), action: 'approve' })).toThrow("model is not coloured");
+    });
+
+    it("should bind tokens and evaluate guards", () => {
+        const m = newModel({ schema: 'orders', declaration: orders, coloured: true, evalStrings: true });
+        const marking = m.initialMarking();
+        expect(m.initialVector()).toEqual([2, 0, 2, 0]);
+        expect(m.bindings({ marking, action: 'approve' })).toEqual([{ order: { id: 1, amount: 50 } }]);
+
+        const res = m.fireBinding({ marking, action: 'approve' });
+        expect(res.ok).toBeTruthy();
+        expect(res.state).toEqual([1, 1, 2, 0]);
+        expect(marking[1]).toEqual([{ id: 1, amount: 50 }]);
+        expect(m.fireBinding({ marking, action: 'approve' }).ok).toBeFalsy();
+
+        expect(m.bindings({ marking, action: 'ship' })).toEqual([{ order: { id: 1, amount: 50 }, id: 1 }]);
+        m.fireBinding({ marking, action: 'ship' });
+        expect(marking).toEqual([[{ id: 2, amount: 0 }], [], [2], [1]]);
+    });
+
+    it("should reject tokens of the wrong colour", () => {
+        const m = newModel({
+            schema: 'typed',
+            coloured: true,
+            declaration: ({fn, cell, role}) => {
+                const input = cell('input', ['a'], 0, {x: 60, y: 60});
+                const output = cell('output', 0, 0, {x: 180, y: 60}, 'number');
+                const t = fn('convert', role("default"), {x: 120, y: 60});
+                input.tx(1, t, 'v');
+                t.tx(1, output, 'v');
+            }
+        });
+        const marking = m.initialMarking();
+        const rejected = [];
+        m.fireBinding({ marking, action: 'convert' }, null, res => rejected.push(res));
+        expect(rejected.length).toEqual(1);
+        expect(marking).toEqual([['a'], []]);
+    });
+
+    it("should round trip through the object format", () => {
+        const obj = newModel({ schema: 'orders', declaration: orders, coloured: true }).toObject();
+        expect(obj.coloured).toBeTruthy();
+        expect(obj.places.paid).toEqual({ offset: 2, x: 180, y: 180, initial: [2, 1], colour: 'number' });
+        expect(obj.transitions.ship.guard).toEqual('order.id === id');
+        expect(obj.arcs[0]).toEqual({ source: 'received', target: 'approve', weight: 1, bind: 'order' });
+
+        obj.transitions.approve.guard = 'order.amount > 0';
+        obj.arcs.push({ source: 'approve', target: 'shipped', weight: 1, expr: 'order.id * 10' });
+        const untrusted = newModel({ schema: 'orders', declaration: obj });
+        expect(() => untrusted.fireBinding({ marking: untrusted.initialMarking(), action: 'approve' }))
+            .toThrow("expression strings require evalStrings: order.amount > 0");
+
+        const m = newModel({ schema: 'orders', declaration: obj, evalStrings: true });
+        const marking = m.initialMarking();
+        m.fireBinding({ marking, action: 'approve' });
+        expect(marking[3]).toEqual([10]);
+        expect(m.fireBinding({ marking, action: 'ship', binding: { order: { id: 1, amount: 50 }, id: 1 } }).ok).toBeTruthy();
+    });
+
+});
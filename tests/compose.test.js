@@ -0,0 +1,101 @@
+import { newModel, compose } from "../src/pflow.js"
+
+// an order is placed and then shipped
+const order = ({fn, cell, role}) => {
+    const r = role("default");
+    const placed = cell('placed', 1, 0, {x: 60, y: 60});
+    const shipped = cell('shipped', 0, 0, {x: 300, y: 60});
+    const ship = fn('ship', r, {x: 180, y: 60});
+    placed.tx(1, ship);
+    ship.tx(1, shipped);
+};
+
+// packing takes two steps
+const packing = ({fn, cell, role}) => {
+    const r = role("packer");
+    const start = cell('start', 1, 0, {x: 0, y: 0});
+    const boxed = cell('boxed', 0, 0, {x: 120, y: 0});
+    const done = cell('done', 0, 0, {x: 240, y: 0});
+    const box = fn('box', r, {x: 60, y: 0});
+    const seal = fn('seal', r, {x: 180, y: 0});
+    start.tx(1, box);
+    box.tx(1, boxed);
+    boxed.tx(1, seal);
+    seal.tx(1, done);
+};
+
+const fire = (m, state, actions) => actions.reduce((s, action) => {
+    const res = m.fire({ state: [...s], action, multiple: 1 });
+    expect(res.ok).toBeTruthy();
+    return res.out;
+}, state);
+
+describe("compose", () => {
+
+    it("should namespace component labels", () => {
+        const m = compose({
+            schema: "orders",
+            components: {
+                a: newModel({ schema: "order", declaration: order }),
+                b: newModel({ schema: "order", declaration: order })
+            }
+        });
+        expect(Object.keys(m.def.places)).toEqual(['a.placed', 'a.shipped', 'b.placed', 'b.shipped']);
+        expect(Object.keys(m.def.transitions)).toEqual(['a.ship', 'b.ship']);
+        expect(fire(m, m.initialVector(), ['a.ship'])).toEqual([0, 1, 1, 0]);
+    });
+
+    it("should refine a transition with a subnet", () => {
+        const m = compose({
+            schema: "orders",
+            components: { order: newModel({ schema: "order", declaration: order }) },
+            refine: { 'order.ship': { model: newModel({ schema: "packing", declaration: packing }) } }
+        });
+        expect(Object.keys(m.def.transitions)).toEqual([
+            'order.ship', 'order.ship.box', 'order.ship.seal', 'order.ship.exit'
+        ]);
+        expect(m.def.transitions['order.ship.box'].role.label).toEqual('packer');
+        expect(m.def.places['order.ship.start'].initial).toEqual(0);
+
+        const labels = Object.keys(m.def.places);
+        const out = fire(m, m.initialVector(), ['order.ship', 'order.ship.box', 'order.ship.seal']);
+        expect(out[labels.indexOf('order.shipped')]).toEqual(0);
+        expect(fire(m, out, ['order.ship.exit'])[labels.indexOf('order.shipped')]).toEqual(1);
+    });
+
+    it("should fuse places across components", () => {
+        const mutex = ({fn, cell, role}) => {
+            const r = role("default");
+            const lock = cell('lock', 1, 0, {x: 60, y: 60});
+            const busy = cell('busy', 0, 0, {x: 180, y: 60});
+            const enter = fn('enter', r, {x: 120, y: 30});
+            const exit = fn('exit', r, {x: 120, y: 90});
+            lock.tx(1, enter);
+            enter.tx(1, busy);
+            busy.tx(1, exit);
+            exit.tx(1, lock);
+        };
+        const m = compose({
+            schema: "shared",
+            components: {
+                left: newModel({ schema: "mutex", declaration: mutex }),
+                right: newModel({ schema: "mutex", declaration: mutex })
+            },
+            fuse: [['left.lock', 'right.lock']]
+        });
+        expect(Object.keys(m.def.places)).toEqual(['left.lock', 'left.busy', 'right.busy']);
+        const out = fire(m, m.initialVector(), ['left.enter']);
+        expect(m.testFire({ state: out, action: 'right.enter', multiple: 1 }).ok).toBeFalsy();
+    });
+
+    it("should reject invalid compositions", () => {
+        const components = { order: newModel({ schema: "order", declaration: order }) };
+        expect(() => compose({ schema: "x", components, refine: { 'order.missing': { model: components.order } } }))
+            .toThrow("refined transition not found: order.missing");
+        expect(() => compose({ schema: "x", components, fuse: [['order.placed', 'order.shipped']] }))
+            .toThrow("fused places must share an initial marking");
+        expect(() => compose({ schema: "x", components, fuse: [['order.placed', 'order.nope']] }))
+            .toThrow("fused place not found: order.nope");
+    });
+
+});
@@ -0,0 +1,106 @@
+import { newModel, diffModels, mergeModels, pflow2svg } from "../src/pflow.js"
+
+const base = () => ({
+    modelType: "petriNet",
+    version: "v0",
+    places: {
+        idle: { offset: 0, x: 60, y: 60, initial: 1 },
+        busy: { offset: 1, x: 180, y: 60 }
+    },
+    transitions: {
+        start: { x: 120, y: 60 },
+        stop: { x: 120, y: 120 }
+    },
+    arcs: [
+        { source: "idle", target: "start", weight: 1 },
+        { source: "start", target: "busy", weight: 1 },
+        { source: "busy", target: "stop", weight: 1 },
+        { source: "stop", target: "idle", weight: 1 }
+    ]
+});
+
+describe("diffModels", () => {
+
+    it("should report an unchanged model as equal", () => {
+        const m = newModel({ schema: "test", declaration: base() });
+        expect(diffModels(base(), m.toObject()).equal).toBeTruthy();
+    });
+
+    it("should report added, removed and changed records", () => {
+        const after = base();
+        after.places.busy.capacity = 1;
+        after.places.done = { offset: 2, x: 300, y: 60 };
+        after.transitions.start.role = "admin";
+        delete after.transitions.stop;
+        after.arcs = after.arcs.filter(a => a.source !== "stop" && a.target !== "stop");
+        after.arcs[0].weight = 2;
+        after.arcs.push({ source: "busy", target: "start", weight: 1, inhibit: true });
+
+        const d = diffModels(base(), after);
+        expect(d.equal).toBeFalsy();
+        expect(d.places).toEqual({
+            added: [{ label: "done", to: { offset: 2, x: 300, y: 60 } }],
+            removed: [],
+            changed: [{ label: "busy", changes: { capacity: { from: undefined, to: 1 } } }]
+        });
+        expect(d.transitions.removed.map(r => r.label)).toEqual(["stop"]);
+        expect(d.transitions.changed).toEqual([{ label: "start", changes: { role: { from: undefined, to: "admin" } } }]);
+        expect(d.arcs.added.map(r => r.label)).toEqual(["busy -o start"]);
+        expect(d.arcs.removed.map(r => r.label)).toEqual(["busy -> stop", "stop -> idle"]);
+        expect(d.arcs.changed).toEqual([{ label: "idle -> start", changes: { weight: { from: 1, to: 2 } } }]);
+    });
+
+    it("should highlight a diff in svg", () => {
+        const after = base();
+        after.places.done = { offset: 2, x: 300, y: 60 };
+        delete after.transitions.stop;
+        after.arcs = after.arcs.filter(a => a.source !== "stop" && a.target !== "stop");
+        const m = newModel({ schema: "test", declaration: after });
+        const svg = pflow2svg(m, { diff: diffModels(base(), m.toObject()) });
+        expect(svg).toContain('stroke="#2da44e"');
+        expect(svg).toContain('stroke-dasharray="4" rx="4" x="105" y="105"');
+    });
+
+});
+
+describe("mergeModels", () => {
+
+    it("should merge non-overlapping edits", () => {
+        const ours = base();
+        ours.places.idle.initial = 2;
+        ours.transitions.pause = { x: 240, y: 120 };
+        const theirs = base();
+        theirs.places.idle.x = 30;
+        theirs.arcs[1].weight = 3;
+
+        const { declaration, conflicts } = mergeModels(base(), ours, theirs);
+        expect(conflicts).toEqual([]);
+        expect(declaration.places.idle).toEqual({ offset: 0, x: 30, y: 60, initial: 2 });
+        expect(Object.keys(declaration.transitions)).toEqual(["start", "stop", "pause"]);
+        expect(declaration.arcs.find(a => a.source === "start").weight).toEqual(3);
+        expect(() => newModel({ schema: "merged", declaration })).not.toThrow();
+    });
+
+    it("should report conflicts and keep ours", () => {
+        const ours = base();
+        ours.places.idle.initial = 2;
+        delete ours.transitions.stop;
+        ours.arcs = ours.arcs.filter(a => a.source !== "stop" && a.target !== "stop");
+        const theirs = base();
+        theirs.places.idle.initial = 3;
+        theirs.transitions.stop.role = "admin";
+        theirs.arcs.push({ source: "stop", target: "busy", weight: 1, inhibit: true });
+
+        const { declaration, conflicts } = mergeModels(base(), ours, theirs);
+        expect(conflicts.map(c => [c.kind, c.label, c.field])).toEqual([
+            ["places", "idle", "initial"],
+            ["transitions", "stop", null],
+            ["arcs", "stop -o busy", null]
+        ]);
+        expect(conflicts[0]).toMatchObject({ base: 1, ours: 2, theirs: 3 });
+        expect(declaration.places.idle.initial).toEqual(2);
+        expect(declaration.transitions.stop).toBeUndefined();
+        expect(declaration.arcs.length).toEqual(2);
+    });
+
+});
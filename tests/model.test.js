@@ -1,4 +1,4 @@
-import { newModel, modelSource, pflow2html, pflow2svg } from "../src/pflow.js"
+import { newModel, modelSource, pflow2html, pflow2svg, pflow2dot, validateDeclaration, pflow2source, pflow2animatedSvg } from "../src/pflow.js"
 describe("metamodel", () => {
 
     it("should run test model", () => {
@@ -59,3 +59,314 @@ describe("metamodel", () => {
 
 
 });
+
+describe("pflow2dot", () => {
+
+    const declaration = ({fn, cell, role}) => {
+        const r = role("default");
+        const foo = cell('foo', 1, 3, {x: 180, y: 180});
+        const add = fn('add', r, {x: 120, y: 120});
+        const bar = fn('bar', r, {x: 120, y: 240});
+        const baz = fn('baz', r, {x: 240, y: 240});
+        add.tx(1, foo);
+        bar.guard(3, foo);
+        foo.guard(1, baz);
+    };
+
+    it("should render places, transitions and arcs", () => {
+        const m = newModel({ schema: "test", declaration });
+        const dot = pflow2dot(m);
+        expect(dot.startsWith('digraph "test" {')).toBeTruthy();
+        expect(dot).toContain('"p:foo" [shape=circle, label="foo\\n1", pos="180,-180!"];');
+        expect(dot).toContain('"t:add" [shape=box, style=filled, fillcolor="#62fa75", label="add", pos="120,-120!"];');
+        expect(dot).toContain('"t:baz" [shape=box, style=filled, fillcolor="#fab5b0", label="baz", pos="240,-240!"];');
+        expect(dot).toContain('"t:add" -> "p:foo" [label="1"];');
+        expect(dot).toContain('"p:foo" -> "t:baz" [label="1", arrowhead=odot];');
+        expect(dot).toContain('"t:bar" -> "p:foo" [label="3", arrowhead=odot];');
+    });
+
+    it("should let graphviz lay out the graph", () => {
+        const m = newModel({ schema: "test", declaration });
+        const dot = pflow2dot(m, { state: [3], autoLayout: true });
+        expect(dot).not.toContain('pos=');
+        expect(dot).toContain('rankdir=LR;');
+        expect(dot).toContain('label="foo\\n3"');
+        expect(dot).toContain('"t:add" [shape=box, style=filled, fillcolor="white", label="add"];');
+    });
+
+});
+
+describe("validateDeclaration", () => {
+
+    const valid = () => ({
+        modelType: "petriNet",
+        version: "v0",
+        places: {
+            foo: { offset: 0, x: 60, y: 60, initial: 1, capacity: 3 }
+        },
+        transitions: {
+            add: { x: 120, y: 60 }
+        },
+        arcs: [
+            { source: "add", target: "foo", weight: 1 }
+        ]
+    });
+
+    it("should accept a model exported by toObject", () => {
+        const m = newModel({ schema: "test", declaration: valid() });
+        expect(validateDeclaration(m.toObject())).toEqual({ ok: true, errors: [], warnings: [] });
+    });
+
+    it("should collect every error with its path", () => {
+        const obj = valid();
+        obj.places.foo.initial = 4;
+        obj.places.bar = { offset: 0, x: 180, y: 60, colour: "red", size: 2 };
+        obj.places["my place"] = { offset: 3, x: 240, y: 60 };
+        obj.arcs.push({ source: "foo", target: "bar", weight: 1 });
+        obj.arcs.push({ source: "foo", target: "missing", weight: -1 });
+        obj.arcs.push({ source: "add", target: "foo", weight: 2 });
+
+        const { ok, errors, warnings } = validateDeclaration(obj);
+        expect(ok).toBeFalsy();
+        expect(errors).toEqual([
+            { path: "$.places.foo.initial", message: "initial marking 4 exceeds capacity 3" },
+            { path: "$.arcs[1]", message: "arc connects two places" },
+            { path: "$.arcs[2].target", message: "unknown node: missing" },
+            { path: "$.arcs[2].weight", message: "weight must be a positive integer" }
+        ]);
+        expect(warnings).toEqual([
+            { path: "$.places.bar.size", message: "unknown key is ignored" },
+            { path: "$.places.bar.offset", message: "offset 0 is also used by place foo, it is reassigned to 1 on load" },
+            { path: '$.places["my place"].offset', message: "offset is reassigned to 2 on load" },
+            { path: "$.arcs[3]", message: "duplicate of $.arcs[0], only one weight is used" }
+        ]);
+    });
+
+    it("should report every error when loading", () => {
+        const obj = valid();
+        obj.version = "v1";
+        obj.arcs[0].target = "add";
+        expect(() => newModel({ schema: "test", declaration: obj })).toThrow(
+            "invalid declaration:\n$.version: invalid model version: v1\n$.arcs[0]: arc connects two transitions"
+        );
+        delete obj.version;
+        expect(() => newModel({ schema: "test", declaration: obj })).toThrow("$.version: invalid model version: undefined");
+    });
+
+    it("should check def objects loaded without a version", () => {
+        expect(() => newModel({ schema: "test", declaration: { places: {}, transitions: {} } })).toThrow(
+            "invalid declaration:\n$.arcs: arcs must be an array"
+        );
+        const { def } = newModel({ schema: "test", declaration: valid() });
+        const copy = newModel({ schema: "copy", declaration: { places: def.places, transitions: def.transitions, arcs: def.arcs } });
+        expect(copy.initialVector()).toEqual([1]);
+
+        const arcs = [...def.arcs, { source: { place: {} }, target: { transition: def.transitions.add }, weight: 0 }];
+        expect(() => newModel({ schema: "copy", declaration: { places: def.places, transitions: def.transitions, arcs } })).toThrow(
+            "invalid declaration:\n$.arcs[1].source: must reference a place or transition of this model\n$.arcs[1].weight: weight must be a positive integer"
+        );
+    });
+
+    it("should not resolve labels to object members", () => {
+        const obj = valid();
+        obj.arcs.push({ source: "toString", target: "foo", weight: 1 });
+        const { ok, errors } = validateDeclaration(obj);
+        expect(ok).toBeFalsy();
+        expect(errors).toEqual([{ path: `$.arcs[${obj.arcs.length - 1}].source`, message: "unknown node: toString" }]);
+        expect(() => newModel({ schema: "test", declaration: obj })).toThrow("unknown node: toString");
+    });
+
+    it("should load a declaration that only has warnings", () => {
+        const obj = valid();
+        obj.places.bar = { offset: 0, x: 180, y: 60 };
+        expect(validateDeclaration(obj).ok).toBeTruthy();
+        const m = newModel({ schema: "test", declaration: obj });
+        expect(m.def.places.foo.offset).toEqual(0);
+        expect(m.def.places.bar.offset).toEqual(1);
+    });
+
+});
+
+describe("pflow2source", () => {
+
+    const load = source => new Function(source + "\nreturn declaration;")();
+
+    it("should round-trip a declaration object", () => {
+        const obj = {
+            modelType: "petriNet",
+            version: "v0",
+            places: {
+                foo: { offset: 0, x: 180, y: 180, initial: 1, capacity: 3 },
+                "new": { offset: 1, x: 250, y: 190 }
+            },
+            transitions: {
+                add: { x: 120, y: 120, role: "admin" },
+                sub: { x: 240, y: 120, delay: 100 },
+                bar: { x: 120, y: 240 }
+            },
+            arcs: [
+                { source: "add", target: "foo", weight: 1 },
+                { source: "foo", target: "sub", weight: 2 },
+                { source: "bar", target: "foo", weight: 3, inhibit: true },
+                { source: "sub", target: "new", weight: 1 }
+            ]
+        };
+        const source = pflow2source(obj);
+        expect(source).toEqual([
+            'function declaration({fn, cell, role}) {',
+            '    const pos = (x, y) => ({x: x * 60, y: y * 60});',
+            '    const admin = role("admin");',
+            '    const r = role("default");',
+            '    const foo = cell("foo", 1, 3, pos(3, 3));',
+            '    const _new = cell("new", 0, 0, {x: 250, y: 190});',
+            '    const add = fn("add", admin, pos(2, 2));',
+            '    const sub = fn("sub", r, pos(4, 2), {delay: 100});',
+            '    const bar = fn("bar", r, pos(2, 4));',
+            '    add.tx(1, foo);',
+            '    foo.tx(2, sub);',
+            '    bar.guard(3, foo);',
+            '    sub.tx(1, _new);',
+            '}'
+        ].join('\n'));
+        expect(newModel({ schema: "test", declaration: load(source) }).toObject()).toEqual(obj);
+    });
+
+    it("should keep coloured tokens, bindings and expressions", () => {
+        const m = newModel({
+            schema: "test",
+            coloured: true,
+            declaration: ({fn, cell, role}) => {
+                const inbox = cell('inbox', [{ id: 1 }], 0, {x: 60, y: 60}, 'order');
+                const done = cell('done', 0, 0, {x: 180, y: 60}, 'order');
+                const ship = fn('ship', role("default"), {x: 120, y: 60}, { guard: 'o.id > 0' });
+                inbox.tx(1, ship, 'o');
+                ship.tx(1, done, 'o');
+            }
+        });
+        const source = pflow2source(m.toObject());
+        expect(source).toContain('const inbox = cell("inbox", [{"id":1}], 0, pos(1, 1), "order");');
+        expect(source).toContain('inbox.tx(1, ship, "o");');
+        expect(newModel({ schema: "copy", declaration: load(source) }).toObject()).toEqual(m.toObject());
+    });
+
+});
+
+describe("pflow2animatedSvg", () => {
+
+    const declaration = {
+        modelType: "petriNet",
+        version: "v0",
+        places: { foo: { offset: 0, x: 180, y: 180, initial: 1, capacity: 3 } },
+        transitions: { add: { x: 120, y: 120 }, sub: { x: 240, y: 120 } },
+        arcs: [
+            { source: "add", target: "foo", weight: 1 },
+            { source: "foo", target: "sub", weight: 1 }
+        ]
+    };
+
+    it("should animate each marking of a trace", () => {
+        const m = newModel({ schema: "test", declaration });
+        const svg = pflow2animatedSvg(m, { trace: ['add', { action: 'sub', multiple: 2 }], step: 800 });
+        expect(svg.startsWith('<svg')).toBeTruthy();
+        expect(svg.endsWith('</svg>')).toBeTruthy();
+        expect(svg).toContain('<animate id="pflow-clock" attributeName="x" from="0" to="0" dur="2400ms" begin="0s;pflow-clock.end" />');
+        // three markings: 1, 2 and 0 tokens
+        expect(svg.match(/<g opacity="0">/g).length).toEqual(3);
+        expect(svg).toContain('begin="pflow-clock.begin+1200ms" dur="800ms" /><text x="176" y="185">2</text>');
+        // add moves a token out to foo, sub moves one in from foo
+        expect(svg).toContain('<animateMotion path="M120,120 L180,180" begin="pflow-clock.begin+1000ms" dur="200ms" />');
+        expect(svg).toContain('<animateMotion path="M180,180 L240,120" begin="pflow-clock.begin+1600ms" dur="200ms" />');
+    });
+
+    it("should read a stream history and stop at the end", () => {
+        const m = newModel({ schema: "test", declaration });
+        const history = [
+            { seq: 0, event: { schema: 'other', action: 'sub', multiple: 1 } },
+            { seq: 1, event: { schema: 'test', action: 'sub', multiple: 1 } }
+        ];
+        const svg = pflow2animatedSvg(m, { history, loop: false, id: 'walk' });
+        expect(svg).toContain('begin="0s" />');
+        expect(svg).toContain('begin="walk-clock.begin+1500ms" dur="500ms" fill="freeze" />');
+    });
+
+    it("should animate the history of one instance", () => {
+        const m = newModel({ schema: "test", declaration });
+        const history = [
+            { seq: 0, event: { schema: 'test', instanceId: 'a', create: [1] } },
+            { seq: 1, event: { schema: 'test', instanceId: 'b', create: [0] } },
+            { seq: 2, event: { schema: 'test', instanceId: 'a', action: 'sub', multiple: 1 } },
+            { seq: 3, event: { schema: 'test', instanceId: 'b', action: 'add', multiple: 1 } },
+            { seq: 4, event: { schema: 'test', instanceId: 'b', action: 'sub', multiple: 1 } }
+        ];
+        expect(pflow2animatedSvg(m, { history, instanceId: 'a' }).match(/<g opacity="0">/g).length).toEqual(2);
+        expect(pflow2animatedSvg(m, { history, instanceId: 'b' }).match(/<g opacity="0">/g).length).toEqual(3);
+        expect(pflow2animatedSvg(m, { history }).match(/<g opacity="0">/g).length).toEqual(1);
+    });
+
+    it("should reject a trace that cannot fire", () => {
+        const m = newModel({ schema: "test", declaration });
+        expect(() => pflow2animatedSvg(m, { trace: ['sub', 'sub'] })).toThrow("trace step 1 cannot fire: sub");
+    });
+
+});
+
+describe("layout", () => {
+
+    it("should lay out a model drawn without positions", () => {
+        const m = newModel({
+            schema: "cycle",
+            declaration: ({fn, cell, role}) => {
+                const r = role("default");
+                const p1 = cell('p1', 1, 0);
+                const p2 = cell('p2', 0, 0);
+                const t1 = fn('t1', r);
+                const t2 = fn('t2', r);
+                p1.tx(1, t1);
+                t1.tx(1, p2);
+                p2.tx(1, t2);
+                t2.tx(1, p1);
+            }
+        });
+        const before = m.toObject();
+        const svg = pflow2svg(m);
+        expect(svg).not.toContain('NaN');
+        expect(svg.startsWith('<svg width="520" height="205"')).toBeTruthy();
+        expect(m.toObject()).toEqual(before);
+
+        const animated = pflow2animatedSvg(m, { trace: ['t1'] });
+        expect(animated).not.toContain('undefined');
+        expect(animated).toContain('path="M60,105 L180,60"');
+
+        // the t2 -> p1 edge runs back below t1 and p2, closing the cycle
+        const { places, transitions } = m.layout();
+        expect(places).toEqual({ p1: { x: 60, y: 105 }, p2: { x: 300, y: 60 } });
+        expect(transitions).toEqual({ t1: { x: 180, y: 60 }, t2: { x: 420, y: 105 } });
+    });
+
+    it("should order layers to avoid crossings and snap to the grid", () => {
+        const m = newModel({
+            schema: "parallel",
+            declaration: ({fn, cell, role}) => {
+                const r = role("default");
+                const a = cell('a', 1, 0, {x: 0, y: 0});
+                const b = cell('b', 1, 0, {x: 0, y: 0});
+                const t2 = fn('t2', r, {x: 0, y: 0});
+                const t1 = fn('t1', r, {x: 0, y: 0});
+                const done = cell('done', 0, 0, {x: 0, y: 0});
+                a.tx(1, t1);
+                b.tx(1, t2);
+                t1.tx(1, done);
+                t2.tx(1, done);
+            }
+        });
+        const { places, transitions } = m.layout({ grid: true });
+        expect(places).toEqual({ a: { x: 60, y: 60 }, b: { x: 60, y: 180 }, done: { x: 300, y: 120 } });
+        expect(transitions).toEqual({ t1: { x: 180, y: 60 }, t2: { x: 180, y: 180 } });
+
+        const before = pflow2svg(m);
+        m.def.places.a.position = { x: 600, y: 600 };
+        expect(pflow2svg(m, { layout: { grid: true } })).toEqual(before);
+        expect(m.def.places.a.position).toEqual({ x: 600, y: 600 });
+    });
+
+});
@@ -0,0 +1,98 @@
+import { newModel, pflow2pnml, pnml2pflow } from "../src/pflow.js"
+
+describe("pnml", () => {
+
+    const declaration = ({fn, cell, role}) => {
+        const r = role("default");
+        const foo = cell('foo', 1, 3, {x: 180, y: 180});
+        const add = fn('add', r, {x: 120, y: 120});
+        const sub = fn('sub', role("admin"), {x: 240, y: 120});
+        const baz = fn('baz', r, {x: 240, y: 240});
+        add.tx(1, foo);
+        foo.tx(2, sub);
+        foo.guard(1, baz);
+    };
+
+    it("should export and import a place/transition net", () => {
+        const m = newModel({ schema: 'foo & bar', declaration });
+        const xml = pflow2pnml(m);
+        expect(xml).toContain('<net id="foo &amp; bar" type="http://www.pnml.org/version-2009/grammar/ptnet">');
+        expect(xml).toContain('<initialMarking><text>1</text></initialMarking>');
+
+        const obj = pnml2pflow(xml);
+        expect(obj).toEqual({
+            modelType: 'petriNet',
+            version: 'v0',
+            places: { foo: { offset: 0, x: 180, y: 180, initial: 1, capacity: 3 } },
+            transitions: {
+                add: { x: 120, y: 120 },
+                sub: { x: 240, y: 120, role: 'admin' },
+                baz: { x: 240, y: 240 }
+            },
+            arcs: [
+                { source: 'add', target: 'foo', weight: 1 },
+                { source: 'foo', target: 'sub', weight: 2 },
+                { source: 'foo', target: 'baz', weight: 1, inhibit: true }
+            ]
+        });
+        expect(newModel({ schema: 'copy', declaration: obj }).initialVector()).toEqual([1]);
+    });
+
+    it("should import pnml from other tools", () => {
+        const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<!-- exported elsewhere -->
+<pnml xmlns="http://www.pnml.org/version-2009/grammar/pnml">
+  <net id="n1" type="http://www.pnml.org/version-2009/grammar/ptnet">
+    <page id="top">
+      <place id="P0"><name><text>ready</text></name><initialMarking><text>2</text></initialMarking></place>
+      <page id="nested">
+        <transition id="T0"><name><text>go</text></name>
+          <graphics><position x="10" y="20"/></graphics>
+        </transition>
+        <place id="P1"/>
+      </page>
+      <arc id="A0" source="P0" target="T0"/>
+      <arc id="A1" source="T0" target="P1"><inscription><text>3</text></inscription></arc>
+      <arc id="A2" source="P1" target="T0"><type value="inhibitor"/></arc>
+    </page>
+  </net>
+</pnml>`;
+        const obj = pnml2pflow(xml);
+        expect(obj.places).toEqual({ ready: { offset: 0, initial: 2 }, P1: { offset: 1 } });
+        expect(obj.transitions).toEqual({ go: { x: 10, y: 20 } });
+        expect(obj.arcs).toEqual([
+            { source: 'ready', target: 'go', weight: 1 },
+            { source: 'go', target: 'P1', weight: 3 },
+            { source: 'P1', target: 'go', weight: 1, inhibit: true }
+        ]);
+    });
+
+    it("should keep nodes that share a name apart", () => {
+        const xml = `<pnml><net id="n"><page id="p">
+  <place id="P0"><name><text>x</text></name><initialMarking><text>1</text></initialMarking></place>
+  <place id="P1"><name><text>x</text></name></place>
+  <transition id="T0"><name><text>x</text></name></transition>
+  <arc id="A0" source="P0" target="T0"/>
+  <arc id="A1" source="T0" target="P1"/>
+</page></net></pnml>`;
+        const obj = pnml2pflow(xml);
+        expect(obj.places).toEqual({ x: { offset: 0, initial: 1 }, P1: { offset: 1 } });
+        expect(obj.transitions).toEqual({ T0: {} });
+        expect(obj.arcs).toEqual([
+            { source: 'x', target: 'T0', weight: 1 },
+            { source: 'T0', target: 'P1', weight: 1 }
+        ]);
+    });
+
+    it("should reject malformed documents", () => {
+        expect(() => pnml2pflow('<pnml><net id="n"><page id="p"></net></pnml>')).toThrow("invalid xml");
+        expect(() => pnml2pflow('<pnml></pnml>')).toThrow("invalid pnml: missing net");
+
+        const net = body => `<pnml><net id="n"><page id="p">${body}</page></net></pnml>`;
+        expect(() => pnml2pflow(net('<place id="P0"><initialMarking><text>abc</text></initialMarking></place>')))
+            .toThrow("invalid pnml place P0: initialMarking is not a count: abc");
+        expect(() => pnml2pflow(net('<place id="P0"/><transition id="T0"/><arc id="A0" source="P0" target="T0"><inscription><text>x</text></inscription></arc>')))
+            .toThrow("invalid pnml arc A0: inscription is not a count: x");
+    });
+
+});
@@ -0,0 +1,96 @@
+import { newModel, stochastic, ode } from "../src/pflow.js"
+
+// single server queue: customers arrive and are served one at a time
+const queue = ({fn, cell, role}) => {
+    const r = role("default");
+    const waiting = cell('waiting', 0, 0, {x: 120, y: 60});
+    const served = cell('served', 0, 0, {x: 240, y: 60});
+    const arrive = fn('arrive', r, {x: 60, y: 60}, { rate: 2 });
+    const serve = fn('serve', r, {x: 180, y: 60}, { rate: 1 });
+    arrive.tx(1, waiting);
+    waiting.tx(1, serve);
+    serve.tx(1, served);
+};
+
+describe("stochastic", () => {
+
+    it("should carry rates through the object format", () => {
+        const m = newModel({ schema: "queue", declaration: queue });
+        const obj = m.toObject();
+        expect(obj.transitions.arrive.rate).toEqual(2);
+        const copy = newModel({ schema: "queue", declaration: obj });
+        expect(copy.def.transitions.serve.rate).toEqual(1);
+    });
+
+    it("should reproduce a run from its seed", () => {
+        const m = newModel({ schema: "queue", declaration: queue });
+        const first = stochastic(m, { seed: 42, maxSteps: 50 });
+        const second = stochastic(m, { seed: 42, maxSteps: 50 });
+        expect(first.seed).toEqual(42);
+        expect(first.trajectory.length).toEqual(51);
+        expect(second.trajectory).toEqual(first.trajectory);
+
+        const { trajectory } = first;
+        for (let i = 1; i < trajectory.length; i++) {
+            expect(trajectory[i].time).toBeGreaterThan(trajectory[i - 1].time);
+            const { state } = trajectory[i];
+            expect(state[0] + state[1]).toEqual(trajectory.slice(1, i + 1).filter(s => s.action === 'arrive').length);
+        }
+    });
+
+    it("should stop at maxTime and on deadlock", () => {
+        const m = newModel({ schema: "queue", declaration: queue });
+        const { time } = stochastic(m, { seed: 7, maxTime: 3, maxSteps: 10000 });
+        expect(time).toBeLessThanOrEqual(3);
+
+        const drain = newModel({
+            schema: "drain",
+            declaration: ({fn, cell, role}) => {
+                const waiting = cell('waiting', 2, 0, {x: 60, y: 60});
+                waiting.tx(1, fn('serve', role("default"), {x: 120, y: 60}, { rate: 3 }));
+            }
+        });
+        const { trajectory } = stochastic(drain, { seed: 7 });
+        expect(trajectory.map(s => s.state)).toEqual([[2], [1], [0]]);
+    });
+
+});
+
+describe("ode", () => {
+
+    // first order decay a -> b with rate k
+    const decay = ({fn, cell, role}) => {
+        const a = cell('a', 100, 0, {x: 60, y: 60});
+        const b = cell('b', 0, 0, {x: 180, y: 60});
+        const t = fn('decay', role("default"), {x: 120, y: 60}, { rate: 0.5 });
+        a.tx(1, t);
+        t.tx(1, b);
+    };
+
+    it("should follow the analytic solution", () => {
+        const m = newModel({ schema: "decay", declaration: decay });
+        const { t, u } = ode(m, { tmax: 4, reltol: 1e-6, abstol: 1e-8 });
+        expect(t[t.length - 1]).toBeCloseTo(4);
+        t.forEach((time, i) => {
+            expect(u.a[i]).toBeCloseTo(100 * Math.exp(-0.5 * time), 3);
+            expect(u.a[i] + u.b[i]).toBeCloseTo(100, 6);
+        });
+    });
+
+    it("should override rates and stop at inhibitor thresholds", () => {
+        const m = newModel({
+            schema: "fill",
+            declaration: ({fn, cell, role}) => {
+                const tank = cell('tank', 0, 0, {x: 60, y: 60});
+                const pump = fn('pump', role("default"), {x: 120, y: 60});
+                pump.tx(1, tank);
+                tank.guard(10, pump);
+            }
+        });
+        const { u } = ode(m, { tmax: 30, rates: { pump: 2 } });
+        const level = u.tank[u.tank.length - 1];
+        expect(level).toBeGreaterThanOrEqual(10);
+        expect(level).toBeLessThan(10.5);
+    });
+
+});
@@ -0,0 +1,639 @@
+import { newModel, newStream, memoryStore, fileStore } from "../src/pflow.js"
+
+// a request either gets a response or times out after its SLA
+const sla = ({fn, cell, role}) => {
+    const r = role("default");
+    const pending = cell('pending', 1, 0, {x: 60, y: 60});
+    const done = cell('done', 0, 0, {x: 180, y: 60});
+    const expired = cell('expired', 0, 0, {x: 180, y: 180});
+    const respond = fn('respond', r, {x: 120, y: 60});
+    const timeout = fn('timeout', r, {x: 120, y: 180}, { delay: 1000 });
+    pending.tx(1, respond);
+    respond.tx(1, done);
+    pending.tx(1, timeout);
+    timeout.tx(1, expired);
+};
+
+const newTestStream = declaration => {
+    const s = newStream({ models: [newModel({ schema: 'test', declaration })] });
+    s.dispatcher.on('__onReload__', () => {});
+    s.dispatcher.onFail(() => {});
+    return s;
+};
+
+describe("timed transitions", () => {
+
+    it("should keep delays in the object format", () => {
+        const m = newModel({ schema: 'test', declaration: sla });
+        const obj = m.toObject();
+        expect(obj.transitions.timeout.delay).toEqual(1000);
+        expect(newModel({ schema: 'test', declaration: obj }).def.transitions.timeout.delay).toEqual(1000);
+    });
+
+    it("should fire once the delay elapses", async () => {
+        const s = newTestStream(sla);
+        expect(await s.advance(999)).toEqual([]);
+        expect(await s.advance(1)).toMatchObject([{ schema: 'test', action: 'timeout', multiple: 1 }]);
+        expect(s.state.get('test')).toEqual([0, 0, 1]);
+        expect(s.history[0].clock).toEqual(1000);
+        expect(s.clock).toEqual(1000);
+    });
+
+    it("should cancel timers of disabled transitions", async () => {
+        const s = newTestStream(sla);
+        await s.advance(500);
+        s.dispatch({ schema: 'test', action: 'respond', multiple: 1 });
+        expect(s.history[0].clock).toEqual(500);
+        expect(await s.advance(5000)).toEqual([]);
+        expect(s.state.get('test')).toEqual([0, 1, 0]);
+    });
+
+    it("should run until a predicate holds", async () => {
+        const s = newTestStream(({fn, cell, role}) => {
+            const ticks = cell('ticks', 0, 0, {x: 60, y: 60});
+            fn('tick', role("default"), {x: 120, y: 60}, { delay: 250 }).tx(1, ticks);
+        });
+        expect(await s.runUntil(stream => stream.state.has('test') && stream.state.get('test')[0] === 4)).toBeTruthy();
+        expect(s.clock).toEqual(1000);
+        expect(s.history.map(h => h.clock)).toEqual([250, 500, 750, 1000]);
+
+        s.restart();
+        expect(s.clock).toEqual(0);
+        expect(await s.runUntil(() => false, { limit: 3 })).toBeFalsy();
+        expect(s.clock).toEqual(750);
+    });
+
+    it("should stop a zero-delay transition that stays enabled", async () => {
+        const s = newTestStream(({fn, cell, role}) => {
+            const ticks = cell('ticks', 0, 0, {x: 60, y: 60});
+            fn('tick', role("default"), {x: 120, y: 60}, { delay: 0 }).tx(1, ticks);
+        });
+        await expect(s.advance(10, { limit: 5 })).rejects.toThrow("more than 5 timed firings at clock 0");
+        expect(s.history.length).toEqual(5);
+    });
+
+    it("should keep the timer when a timed firing fails", async () => {
+        const s = newTestStream(sla);
+        let down = true;
+        s.use(async (ctx, next) => {
+            if (down) {
+                throw new Error("middleware failed");
+            }
+            await next();
+        });
+        await expect(s.advance(1000)).rejects.toThrow("middleware failed");
+        expect(s.nextTimer()).toMatchObject({ action: 'timeout', due: 2000 });
+
+        down = false;
+        await s.advance(1000);
+        expect(s.history.map(h => [h.event.action, h.clock])).toEqual([['timeout', 2000]]);
+    });
+
+});
+
+describe("authorization", () => {
+
+    // players take turns marking a single square
+    const turns = ({fn, cell, role}) => {
+        const xTurn = cell('xTurn', 1, 1, {x: 60, y: 60});
+        const oTurn = cell('oTurn', 0, 1, {x: 180, y: 60});
+        const moveX = fn('moveX', role('X'), {x: 120, y: 30});
+        const moveO = fn('moveO', role('O'), {x: 120, y: 90});
+        const reset = fn('reset', role('default'), {x: 120, y: 150});
+        xTurn.tx(1, moveX);
+        moveX.tx(1, oTurn);
+        oTurn.tx(1, moveO);
+        moveO.tx(1, xTurn);
+        reset.tx(1, xTurn);
+    };
+
+    const players = { alice: ['X'], bob: ['O'] };
+
+    it("should reject actors without the transition role", async () => {
+        const failures = [];
+        const s = newStream({
+            models: [newModel({ schema: 'game', declaration: turns })],
+            policy: actor => players[actor]
+        });
+        s.dispatcher.on('__onReload__', () => {});
+        s.dispatcher.onFail((_, res) => failures.push(res));
+
+        expect((await s.dispatch({ schema: 'game', action: 'moveX', multiple: 1, actor: 'bob' })).ok).toBeFalsy();
+        expect(failures[0]).toMatchObject({ action: 'moveX', actor: 'bob', error: 'unauthorized', role: { label: 'X' } });
+        expect(s.history).toEqual([]);
+
+        expect((await s.dispatch({ schema: 'game', action: 'moveX', multiple: 1, actor: 'alice' })).ok).toBeTruthy();
+        expect((await s.dispatch({ schema: 'game', action: 'moveO', multiple: 1 })).ok).toBeFalsy();
+        expect((await s.dispatch({ schema: 'game', action: 'moveO', multiple: 1, actor: 'bob' })).ok).toBeTruthy();
+        expect(s.history.map(h => h.event.actor)).toEqual(['alice', 'bob']);
+        expect(failures.length).toEqual(2);
+    });
+
+    it("should leave default role transitions open", () => {
+        const s = newStream({
+            models: [newModel({ schema: 'game', declaration: newModel({ schema: 'game', declaration: turns }).toObject() })],
+            policy: () => []
+        });
+        const failures = [];
+        s.dispatcher.on('__onReload__', () => {});
+        s.dispatcher.onFail((_, res) => failures.push(res));
+        expect(s.models.get('game').def.transitions.moveO.role.label).toEqual('O');
+        s.dispatch({ schema: 'game', action: 'moveX', multiple: 1, actor: 'carol' });
+        s.dispatch({ schema: 'game', action: 'reset', multiple: 1, actor: 'carol' }); // xTurn is at capacity
+        expect(failures.map(f => f.error)).toEqual(['unauthorized', undefined]);
+    });
+
+    it("should let the clock fire timed transitions of any role", async () => {
+        const s = newStream({
+            models: [newModel({ schema: 'test', declaration: sla })],
+            policy: () => []
+        });
+        s.dispatcher.on('__onReload__', () => {});
+        s.dispatcher.onFail(() => {});
+        s.models.get('test').def.transitions.timeout.role = { label: 'scheduler' };
+
+        expect((await s.dispatch({ schema: 'test', action: 'timeout', multiple: 1, actor: 'mallory' })).ok).toBeFalsy();
+        await s.advance(1000);
+        expect(s.history.map(h => h.event.action)).toEqual(['timeout']);
+    });
+
+});
+
+describe("persistence", () => {
+
+    const counter = ({fn, cell, role}) => {
+        const count = cell('count', 0, 0, {x: 60, y: 60});
+        const r = role("default");
+        fn('inc', r, {x: 120, y: 60}).tx(1, count);
+        count.tx(1, fn('dec', r, {x: 120, y: 120}));
+    };
+
+    const inc = { schema: 'test', action: 'inc', multiple: 1 };
+    const dec = { schema: 'test', action: 'dec', multiple: 1 };
+
+    it("should keep each history entry's marking", () => {
+        const s = newTestStream(counter);
+        s.dispatch(inc);
+        s.dispatch(inc);
+        expect(s.history.map(h => h.state)).toEqual([[1], [2]]);
+    });
+
+    it("should replay a serialized log", () => {
+        const s = newTestStream(counter);
+        [inc, inc, dec, inc].forEach(evt => s.dispatch(evt));
+        const events = JSON.parse(JSON.stringify(s.log()));
+
+        const copy = newTestStream(counter).replay(events);
+        expect(copy.state.get('test')).toEqual([2]);
+        expect(copy.seq).toEqual(4);
+        expect(copy.history.map(h => h.state)).toEqual([[1], [2], [1], [2]]);
+
+        events.splice(0, 2);
+        expect(() => newTestStream(counter).replay(events.map((e, seq) => ({ ...e, seq }))))
+            .toThrow("replay failed at seq 0: test.dec");
+    });
+
+    it("should restore from a store using snapshots", async () => {
+        const store = memoryStore();
+        const s = newTestStream(counter).attach(store, 'order-1', { snapshotEvery: 2 });
+        [inc, inc, inc, dec, inc].forEach(evt => s.dispatch(evt));
+        await s.flush();
+
+        const { snapshot, events } = await store.load('order-1');
+        expect(snapshot).toMatchObject({ seq: 4, state: { test: [2] } });
+        expect(events.map(e => e.seq)).toEqual([4]);
+
+        const restored = await newTestStream(counter).restore(store, 'order-1');
+        expect(restored.state.get('test')).toEqual([3]);
+        expect(restored.seq).toEqual(5);
+    });
+
+    it("should restore the state left by undo", async () => {
+        const store = memoryStore();
+        const appended = [];
+        const append = store.append;
+        store.append = (id, events) => {
+            appended.push(...events);
+            return append(id, events);
+        };
+        const s = newTestStream(counter).attach(store, 'order-1');
+        [inc, inc].forEach(evt => s.dispatch(evt));
+        s.undo();
+        s.dispatch(dec);
+        await s.flush();
+        expect(s.state.get('test')).toEqual([0]);
+        expect(appended.map(e => [e.seq, e.goto === undefined ? e.event.action : 'goto ' + e.goto]))
+            .toEqual([[0, 'inc'], [1, 'inc'], [2, 'goto 0'], [3, 'dec']]);
+
+        const restored = await newTestStream(counter).restore(store, 'order-1');
+        expect(restored.state.get('test')).toEqual([0]);
+        expect(newTestStream(counter).replay(appended).state.get('test')).toEqual([0]);
+    });
+
+    it("should report failed writes and keep writing", async () => {
+        const store = memoryStore();
+        const append = store.append;
+        let down = true;
+        store.append = (id, events) => down ? Promise.reject(new Error("disk full")) : append(id, events);
+
+        const s = newTestStream(counter).attach(store, 'order-1');
+        const errors = [];
+        s.dispatcher.onStoreError((_, { error, write, seq }) => errors.push([write, seq, error.message]));
+        s.dispatch(inc);
+        await s.flush();
+        expect(errors).toEqual([['append', 0, 'disk full']]);
+
+        down = false;
+        s.dispatch(inc);
+        await s.flush();
+        expect((await store.load('order-1')).events.map(e => e.seq)).toEqual([1]);
+    });
+
+    it("should persist to the filesystem", async () => {
+        const fs = require('fs');
+        const os = require('os');
+        const path = require('path');
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pflow-'));
+        try {
+            const store = fileStore(dir);
+            const s = newTestStream(counter).attach(store, 'order-2', { snapshotEvery: 3 });
+            [inc, inc, inc, inc].forEach(evt => s.dispatch(evt));
+            await s.flush();
+            expect(fs.readFileSync(path.join(dir, 'order-2.events.jsonl'), 'utf8').trim().split('\n').length).toEqual(4);
+
+            const restored = await newTestStream(counter).restore(store, 'order-2');
+            expect(restored.state.get('test')).toEqual([4]);
+            expect(await fileStore(dir).load('missing')).toEqual({ snapshot: undefined, events: [] });
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+});
+
+describe("time travel", () => {
+
+    const counter = ({fn, cell, role}) => {
+        const count = cell('count', 0, 0, {x: 60, y: 60});
+        fn('inc', role("default"), {x: 120, y: 60}).tx(1, count);
+    };
+    const inc = { schema: 'test', action: 'inc', multiple: 1 };
+
+    it("should undo and redo events", () => {
+        const s = newTestStream(counter);
+        let reloads = 0;
+        s.dispatcher.on('__onReload__', () => reloads++);
+        [inc, inc, inc].forEach(evt => s.dispatch(evt));
+        reloads = 0;
+
+        expect(s.undo()).toBeTruthy();
+        expect(s.state.get('test')).toEqual([2]);
+        expect(s.undo()).toBeTruthy();
+        expect(s.redo()).toBeTruthy();
+        expect(s.state.get('test')).toEqual([2]);
+        expect(s.history.map(h => h.seq)).toEqual([0, 1]);
+        expect(reloads).toEqual(3);
+
+        s.dispatch(inc);
+        expect(s.history.map(h => h.seq)).toEqual([0, 1, 3]);
+        expect(s.redo()).toBeFalsy();
+    });
+
+    it("should go to any recorded event", () => {
+        const s = newTestStream(counter);
+        [inc, inc, inc, inc].forEach(evt => s.dispatch(evt));
+        expect(s.goto(-1)).toBeTruthy();
+        expect(s.state.has('test')).toBeFalsy();
+        expect(s.undo()).toBeFalsy();
+        expect(s.goto(2)).toBeTruthy();
+        expect(s.state.get('test')).toEqual([3]);
+        expect(s.goto(0)).toBeTruthy();
+        expect(s.state.get('test')).toEqual([1]);
+        expect(s.goto(7)).toBeFalsy();
+        expect(s.state.get('test')).toEqual([4]);
+        expect(s.seq).toEqual(4);
+    });
+
+});
+
+describe("event bus", () => {
+
+    const counter = ({fn, cell, role}) => {
+        const count = cell('count', 0, 1, {x: 60, y: 60});
+        fn('inc', role("default"), {x: 120, y: 60}).tx(1, count);
+    };
+    const inc = { schema: 'test', action: 'inc', multiple: 1 };
+
+    it("should dispatch without any listeners", async () => {
+        const s = newStream({ models: [newModel({ schema: 'test', declaration: counter })] });
+        expect((await s.dispatch(inc)).ok).toBeTruthy();
+        expect((await s.dispatch(inc)).ok).toBeFalsy();
+        expect(s.undo()).toBeTruthy();
+    });
+
+    it("should notify every subscriber", () => {
+        const s = newStream({ models: [newModel({ schema: 'test', declaration: counter })] });
+        const seen = [];
+        const { on, once, onFail, onUnhandled } = s.dispatcher;
+        const stop = on('inc', () => seen.push('first'));
+        on('inc', () => seen.push('second'));
+        on('*', (_, res) => seen.push('any:' + res.action));
+        once('inc', () => seen.push('once'));
+        onFail(() => seen.push('fail'));
+        onUnhandled((_, res) => seen.push('unhandled:' + res.event));
+
+        s.dispatch(inc);
+        expect(seen).toEqual(['first', 'second', 'once', 'any:inc']);
+
+        seen.length = 0;
+        stop();
+        s.undo();
+        s.dispatch(inc);
+        expect(seen).toEqual(['second', 'any:inc']);
+
+        seen.length = 0;
+        s.dispatcher.off('inc');
+        s.dispatch(inc);
+        expect(seen).toEqual(['fail']);
+
+        seen.length = 0;
+        s.dispatcher.off('*');
+        s.dispatcher.off('__onFail__');
+        s.undo();
+        s.dispatch(inc);
+        s.dispatch(inc);
+        expect(seen).toEqual(['unhandled:inc', 'unhandled:__onFail__']);
+    });
+
+});
+
+describe("middleware", () => {
+
+    const counter = ({fn, cell, role}) => {
+        const count = cell('count', 0, 0, {x: 60, y: 60});
+        fn('inc', role("default"), {x: 120, y: 60}).tx(1, count);
+    };
+    const inc = { schema: 'test', action: 'inc', multiple: 1 };
+    const later = value => new Promise(resolve => setTimeout(() => resolve(value), 1));
+
+    it("should run async middleware around each firing", async () => {
+        const s = newTestStream(counter);
+        const calls = [];
+        s.use(async (ctx, next) => {
+            calls.push('before:' + ctx.event.action);
+            ctx.event = { ...ctx.event, price: await later(10) };
+            await next();
+            calls.push('after:' + ctx.result.ok);
+        });
+        s.use(async (ctx, next) => {
+            calls.push('price:' + ctx.event.price);
+            await next();
+        });
+        const res = await s.dispatch(inc);
+        expect(res.ok).toBeTruthy();
+        expect(calls).toEqual(['before:inc', 'price:10', 'after:true']);
+        expect(s.history[0].event.price).toEqual(10);
+    });
+
+    it("should veto a firing", async () => {
+        const s = newTestStream(counter);
+        const failures = [];
+        s.dispatcher.onFail((_, res) => failures.push(res.error));
+        const remove = s.use(async (ctx, next) => {
+            if (await later(ctx.event.actor !== 'admin')) {
+                return;
+            }
+            await next();
+        });
+        expect(await s.dispatch(inc)).toMatchObject({ ok: false, vetoed: true });
+        expect(failures).toEqual(['vetoed']);
+        expect(s.history).toEqual([]);
+        expect((await s.dispatch({ ...inc, actor: 'admin' })).ok).toBeTruthy();
+
+        remove();
+        expect((await s.dispatch(inc)).ok).toBeTruthy();
+        expect(s.state.get('test')).toEqual([2]);
+    });
+
+    it("should reject when middleware throws", async () => {
+        const s = newTestStream(counter);
+        s.use(async () => {
+            throw new Error("pricing service unavailable");
+        });
+        await expect(s.dispatch(inc)).rejects.toThrow("pricing service unavailable");
+        await expect(s.dispatch({ schema: 'missing', action: 'inc' })).rejects.toThrow("pricing service unavailable");
+        expect(s.history).toEqual([]);
+    });
+
+    it("should route timed firings through middleware", async () => {
+        const s = newTestStream(({fn, cell, role}) => {
+            const ticks = cell('ticks', 0, 0, {x: 60, y: 60});
+            fn('tick', role("default"), {x: 120, y: 60}, { delay: 100 }).tx(1, ticks);
+        });
+        const seen = [];
+        s.use(async (ctx, next) => {
+            await next();
+            seen.push(ctx.stream.clock);
+        });
+        await s.advance(350);
+        expect(seen).toEqual([100, 200, 300]);
+        expect(s.clock).toEqual(350);
+    });
+
+});
+
+describe("instances", () => {
+
+    it("should keep a marking per instance", async () => {
+        const s = newTestStream(sla);
+        const a = s.createInstance('test');
+        const b = s.createInstance('test', { instanceId: 'order-7' });
+        expect(a).toEqual('1');
+        expect(() => s.createInstance('test', { instanceId: 'order-7' })).toThrow("instance already exists");
+
+        expect((await s.dispatch({ schema: 'test', instanceId: b, action: 'respond', multiple: 1 })).ok).toBeTruthy();
+        expect(s.listInstances('test')).toEqual([
+            { instanceId: '1', state: [1, 0, 0] },
+            { instanceId: 'order-7', state: [0, 1, 0] }
+        ]);
+        expect(s.state.get('test')).toBeUndefined();
+        await expect(s.dispatch({ schema: 'test', instanceId: 'nope', action: 'respond', multiple: 1 }))
+            .rejects.toThrow("instance not found");
+    });
+
+    it("should start an instance from its own marking", async () => {
+        const s = newTestStream(sla);
+        const failed = [];
+        s.dispatcher.onFail((_, res) => failed.push(res.instanceId));
+        const id = s.createInstance('test', { state: [0, 1, 0] });
+        const res = await s.dispatch({ schema: 'test', instanceId: id, action: 'respond', multiple: 1 });
+        expect(res.ok).toBeFalsy();
+        expect(failed).toEqual([id]);
+    });
+
+    it("should run timers and history per instance", async () => {
+        const s = newTestStream(sla);
+        const a = s.createInstance('test');
+        await s.advance(500);
+        const b = s.createInstance('test');
+        await s.dispatch({ schema: 'test', instanceId: a, action: 'respond', multiple: 1 });
+        await s.advance(1000);
+
+        expect(s.listInstances('test').map(i => i.state)).toEqual([[0, 1, 0], [0, 0, 1]]);
+        expect(s.historyFor({ schema: 'test', instanceId: b }).map(h => [h.event.action || 'create', h.clock]))
+            .toEqual([['create', 500], ['timeout', 1500]]);
+        expect(s.historyFor({ schema: 'test' }).map(h => [h.event.action, h.clock])).toEqual([['timeout', 1000]]);
+    });
+
+    it("should restore instances from a store", async () => {
+        const store = memoryStore();
+        const s = newTestStream(sla);
+        s.attach(store, 'orders');
+        s.createInstance('test', { instanceId: 'x', state: [2, 0, 0] });
+        await s.dispatch({ schema: 'test', instanceId: 'x', action: 'respond', multiple: 1 });
+        await s.flush();
+
+        const restored = newTestStream(sla);
+        await restored.restore(store, 'orders');
+        expect(restored.listInstances('test')).toEqual([{ instanceId: 'x', state: [1, 1, 0] }]);
+    });
+
+    it("should replay instances created from their own marking", async () => {
+        const s = newTestStream(sla);
+        const id = s.createInstance('test', { state: [2, 0, 0] });
+        await s.dispatch({ schema: 'test', instanceId: id, action: 'respond', multiple: 1 });
+        expect(s.log().map(e => e.event.create || e.event.action)).toEqual([[2, 0, 0], 'respond']);
+
+        const copy = newTestStream(sla).replay(s.log());
+        expect(copy.listInstances('test')).toEqual([{ instanceId: id, state: [1, 1, 0] }]);
+        expect(copy.createInstance('test')).toEqual('2');
+
+        expect(s.undo() && s.undo()).toBeTruthy();
+        expect(s.listInstances('test')).toEqual([]);
+        expect(s.redo()).toBeTruthy();
+        expect(s.listInstances('test')).toEqual([{ instanceId: id, state: [2, 0, 0] }]);
+    });
+
+});
+
+describe("sync rules", () => {
+
+    const order = ({fn, cell, role}) => {
+        const r = role("default");
+        const placed = cell('placed', 1, 0, {x: 60, y: 60});
+        const confirmed = cell('confirmed', 0, 0, {x: 180, y: 60});
+        const cancelled = cell('cancelled', 0, 0, {x: 180, y: 180});
+        const confirm = fn('confirm', r, {x: 120, y: 60});
+        const cancel = fn('cancel', r, {x: 120, y: 180});
+        placed.tx(1, confirm);
+        confirm.tx(1, confirmed);
+        confirmed.tx(1, cancel);
+        cancel.tx(1, cancelled);
+    };
+
+    const inventory = stock => ({fn, cell, role}) => {
+        const r = role("default");
+        const available = cell('available', stock, 0, {x: 60, y: 60});
+        const reserved = cell('reserved', 0, 0, {x: 180, y: 60});
+        const reserve = fn('reserve', r, {x: 120, y: 60});
+        available.tx(1, reserve);
+        reserve.tx(1, reserved);
+    };
+
+    const newSyncStream = stock => {
+        const s = newStream({
+            models: [
+                newModel({ schema: 'order', declaration: order }),
+                newModel({ schema: 'inventory', declaration: inventory(stock) })
+            ]
+        });
+        s.dispatcher.on('__onReload__', () => {});
+        s.dispatcher.onFail(() => {});
+        return s;
+    };
+
+    const confirm = { schema: 'order', action: 'confirm', multiple: 1 };
+
+    it("should fire atomic rules together", async () => {
+        const s = newSyncStream(1);
+        s.sync({ when: { schema: 'order', action: 'confirm' }, then: { schema: 'inventory', action: 'reserve' } });
+        expect((await s.dispatch(confirm)).ok).toBeTruthy();
+        expect(s.state.get('order')).toEqual([0, 1, 0]);
+        expect(s.state.get('inventory')).toEqual([0, 1]);
+        expect(s.history.map(h => h.event.action)).toEqual(['confirm', 'reserve']);
+
+        s.undo();
+        expect(s.history).toEqual([]);
+        s.redo();
+        expect(s.history.length).toEqual(2);
+
+        const copy = newSyncStream(1).replay(JSON.parse(JSON.stringify(s.log())));
+        expect(copy.undo()).toBeTruthy();
+        expect(copy.history).toEqual([]);
+        expect(copy.currentState('order')).toEqual([1, 0, 0]);
+    });
+
+    it("should persist a commit before listeners run", async () => {
+        const store = memoryStore();
+        const s = newSyncStream(1).attach(store, 'order-4');
+        s.sync({ when: { schema: 'order', action: 'confirm' }, then: { schema: 'inventory', action: 'reserve' } });
+        s.dispatcher.on('confirm', () => {
+            throw new Error("listener failed");
+        });
+        await expect(s.dispatch(confirm)).rejects.toThrow("listener failed");
+        await s.flush();
+        expect((await store.load('order-4')).events.map(e => e.seq)).toEqual(s.history.map(h => h.seq));
+    });
+
+    it("should roll back when an atomic follow-up fails", async () => {
+        const s = newSyncStream(0);
+        const failures = [];
+        s.dispatcher.onFail((_, res) => failures.push([res.action, res.error]));
+        const remove = s.sync({ when: { schema: 'order', action: 'confirm' }, then: { schema: 'inventory', action: 'reserve' } });
+        const res = await s.dispatch(confirm);
+        expect(res.ok).toBeFalsy();
+        expect(res.sync).toMatchObject({ schema: 'inventory', action: 'reserve' });
+        expect(failures).toEqual([['reserve', undefined], ['confirm', 'sync']]);
+        expect(s.history).toEqual([]);
+        expect(s.state.get('order')).toBeUndefined();
+
+        remove();
+        expect((await s.dispatch(confirm)).ok).toBeTruthy();
+    });
+
+    it("should compensate a failed saga", async () => {
+        const s = newSyncStream(0);
+        s.sync({
+            mode: 'saga',
+            when: { schema: 'order', action: 'confirm' },
+            then: evt => ({ schema: 'inventory', action: 'reserve', multiple: evt.multiple }),
+            compensate: { schema: 'order', action: 'cancel' }
+        });
+        const res = await s.dispatch(confirm);
+        expect(res).toMatchObject({ ok: false, compensated: true });
+        expect(s.history.map(h => h.event.action)).toEqual(['confirm', 'cancel']);
+        expect(s.state.get('order')).toEqual([0, 0, 1]);
+        expect(() => s.sync({ mode: 'saga', when: confirm.action, then: {} })).toThrow("saga requires a compensate event");
+    });
+
+    it("should roll back when a compensation fails", async () => {
+        const store = memoryStore();
+        const s = newSyncStream(0).attach(store, 'order-3');
+        s.sync({
+            mode: 'saga',
+            when: { schema: 'order', action: 'confirm' },
+            then: { schema: 'inventory', action: 'reserve' },
+            compensate: { schema: 'inventory', action: 'reserve' }
+        });
+        const announced = [];
+        s.dispatcher.on('*', (_, res) => announced.push(res.action));
+        await expect(s.dispatch(confirm)).rejects.toThrow("compensation failed: inventory.reserve");
+        expect(announced).toEqual([]);
+        expect(s.history).toEqual([]);
+        expect(s.seq).toEqual(0);
+        expect(s.currentState('order')).toEqual([1, 0, 0]);
+        await s.flush();
+        expect((await store.load('order-3')).events).toEqual([]);
+    });
+
+});
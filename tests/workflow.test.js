@@ -1,4 +1,4 @@
-import { newModel } from "../src/pflow.js"
+import { newModel, soundness, ModelType } from "../src/pflow.js"
 describe("workflow", () => {
 
     it("should load a model defined by an object", () => {
@@ -19,4 +19,101 @@ describe("workflow", () => {
     })
 
 
-});
\ No newline at end of file
+    // approval process: submit, then approve or reject
+    const approval = (extra) => ({fn, cell, role}) => {
+        const r = role("default");
+        const start = cell('start', 1, 0, {x: 60, y: 60});
+        const review = cell('review', 0, 0, {x: 180, y: 60});
+        const end = cell('end', 0, 0, {x: 300, y: 60});
+        const submit = fn('submit', r, {x: 120, y: 60});
+        const approve = fn('approve', r, {x: 240, y: 30});
+        const reject = fn('reject', r, {x: 240, y: 90});
+        start.tx(1, submit);
+        submit.tx(1, review);
+        review.tx(1, approve);
+        approve.tx(1, end);
+        review.tx(1, reject);
+        reject.tx(1, end);
+        if (extra) {
+            extra({fn, cell, role, r, start, review, end, submit});
+        }
+    };
+
+    it("should verify a sound workflow", () => {
+        const m = newModel({ schema: 'approval', declaration: approval(), type: ModelType.workflow });
+        expect(soundness(m)).toEqual({ sound: true, diagnostics: [] });
+    });
+
+    it("should reject models that are not workflows", () => {
+        const m = newModel({ schema: 'approval', declaration: approval() });
+        expect(() => soundness(m)).toThrow("soundness requires a workflow model");
+    });
+
+    it("should explore with the workflow rules of fire", () => {
+        const m = newModel({
+            schema: 'parallel',
+            type: ModelType.workflow,
+            declaration: ({fn, cell, role}) => {
+                const r = role("default");
+                const start = cell('start', 1, 0, {x: 60, y: 120});
+                const left = cell('left', 0, 0, {x: 180, y: 60});
+                const right = cell('right', 0, 0, {x: 180, y: 180});
+                const leftDone = cell('leftDone', 0, 0, {x: 300, y: 60});
+                const rightDone = cell('rightDone', 0, 0, {x: 300, y: 180});
+                const end = cell('end', 0, 0, {x: 420, y: 120});
+                const split = fn('split', r, {x: 120, y: 120});
+                const a = fn('a', r, {x: 240, y: 60});
+                const b = fn('b', r, {x: 240, y: 180});
+                const join = fn('join', r, {x: 360, y: 120});
+                start.tx(1, split);
+                split.tx(1, left);
+                split.tx(1, right);
+                left.tx(1, a);
+                a.tx(1, leftDone);
+                right.tx(1, b);
+                b.tx(1, rightDone);
+                leftDone.tx(1, join);
+                rightDone.tx(1, join);
+                join.tx(1, end);
+            }
+        });
+        expect(m.fire({ state: m.initialVector(), action: 'split', multiple: 1 }).ok).toBeFalsy();
+        const { sound, diagnostics } = soundness(m);
+        expect(sound).toBeFalsy();
+        expect(diagnostics.map(d => d.code)).toContain('dead');
+    });
+
+    it("should name every sink place", () => {
+        const declaration = approval(({cell, submit}) => {
+            const audit = cell('audit', 0, 0, {x: 180, y: 180});
+            submit.tx(1, audit);
+        });
+        const m = newModel({ schema: 'approval', declaration, type: ModelType.workflow });
+        const { sound, diagnostics } = soundness(m);
+        expect(sound).toBeFalsy();
+        expect(diagnostics.map(d => d.code)).toEqual(['sink']);
+        expect(diagnostics[0].places).toEqual(['end', 'audit']);
+    });
+
+    it("should report stuck markings and dead transitions", () => {
+        const declaration = approval(({fn, cell, r, review, end}) => {
+            const hold = cell('hold', 0, 0, {x: 180, y: 180});
+            const escalate = fn('escalate', r, {x: 120, y: 180});
+            const resume = fn('resume', r, {x: 240, y: 180});
+            review.tx(1, escalate);
+            escalate.tx(1, hold);
+            hold.tx(1, resume);
+            resume.tx(1, end);
+            resume.guard(1, end); // only enabled once end is already marked
+        });
+        const m = newModel({ schema: 'approval', declaration, type: ModelType.workflow });
+        const { sound, diagnostics } = soundness(m);
+        expect(sound).toBeFalsy();
+        const completion = diagnostics.find(d => d.code === 'completion');
+        expect(completion.trace).toEqual(['submit', 'escalate']);
+        expect(completion.places).toEqual(['hold']);
+        const dead = diagnostics.find(d => d.code === 'dead');
+        expect(dead.transitions).toEqual(['resume']);
+    });
+
+});